@@ -18,6 +18,26 @@
 const MODULE_ID = 'map-shine';
 const PROFILES_SETTING = 'profiles';
 const DEFAULT_PROFILE_SETTING = 'defaultProfile';
+const CUSTOM_GRADIENTS_SETTING = 'customGradients';
+const ILLUMINATION_PROVIDER_SETTING = 'illuminationProvider';
+const CONFIG_SCHEMA_VERSION = 2;
+
+const SHINE_PATTERN_TYPES = ['stripes', 'checkerboard', 'radial', 'ripples', 'voronoi', 'caustics'];
+
+// Powers of two only, so every level of the bloom chain keeps the same CSS size.
+const BLOOM_RESOLUTION_OPTIONS = {
+    'Full': 1,
+    'Half': 0.5,
+    'Quarter': 0.25
+};
+
+const AMBIENT_ANIMATION_MODES = ['none', 'flicker', 'pulse', 'heartbeat', 'sparks', 'map'];
+
+const FOG_OF_WAR_OPTIONS = {
+    'Visible Only': 'visible',
+    'Visible + Explored (Dimmed)': 'explored',
+    'Always': 'always'
+};
 
 const BLEND_MODE_OPTIONS = {
     'NORMAL': PIXI.BLEND_MODES.NORMAL,
@@ -93,6 +113,16 @@ const CLIENT_OVERRIDES_CONFIG = {
 };
 
 class ClientOverrides {
+    /** The value `apply` would produce for a single path, for callers that skip the full merge. */
+    static scaleValue(path, value) {
+        for (const [key, data] of Object.entries(CLIENT_OVERRIDES_CONFIG)) {
+            if (!data.intensitySubPath || `${data.path}.${data.intensitySubPath}` !== path) continue;
+            const intensitySetting = game.settings.get(MODULE_ID, `user-${key}-intensity`);
+            return value * (intensitySetting / 100);
+        }
+        return value;
+    }
+
     static apply(config) {
         for (const [key, data] of Object.entries(CLIENT_OVERRIDES_CONFIG)) {
             const enabledSetting = game.settings.get(MODULE_ID, `user-${key}-enabled`);
@@ -157,6 +187,214 @@ const GRADIENT_PRESETS = {
     },
 };
 
+/**
+ * Built-in presets plus the world's custom gradients, each baked into a 256x1 lookup texture.
+ * Custom gradients are stored as `{ stops: [{ position, color }] }` with positions in 0–1.
+ */
+class GradientLibrary {
+    static LUT_SIZE = 256;
+    static _luts = new Map();
+
+    static get custom() {
+        return game.settings.get(MODULE_ID, CUSTOM_GRADIENTS_SETTING) || {};
+    }
+
+    static names() {
+        return [...Object.keys(GRADIENT_PRESETS), ...Object.keys(this.custom).filter(name => !this.isPreset(name))];
+    }
+
+    static isPreset(name) {
+        return Object.hasOwn(GRADIENT_PRESETS, name);
+    }
+
+    static has(name) {
+        return this.isPreset(name) || Object.hasOwn(this.custom, name);
+    }
+
+    static getStops(name) {
+        if (!this.isPreset(name)) {
+            const stops = this.normalizeStops(this.custom[name]?.stops);
+            if (stops.length) return stops;
+        }
+        const colors = (GRADIENT_PRESETS[name] ?? GRADIENT_PRESETS.rainbow).colors;
+        return colors.map((color, i) => ({ position: colors.length > 1 ? i / (colors.length - 1) : 0, color }));
+    }
+
+    static normalizeStops(stops) {
+        if (!Array.isArray(stops)) return [];
+        return stops
+            .filter(stop => Number.isFinite(stop?.position) && /^#[0-9a-f]{6}$/i.test(stop?.color))
+            .map(stop => ({ position: Math.min(Math.max(stop.position, 0), 1), color: stop.color.toLowerCase() }))
+            .sort((a, b) => a.position - b.position);
+    }
+
+    static toCSS(stops) {
+        return `linear-gradient(to right, ${stops.map(stop => `${stop.color} ${Math.round(stop.position * 1000) / 10}%`).join(', ')})`;
+    }
+
+    /** Returns the lookup texture for a gradient. Unknown names fall back to rainbow. */
+    static getTexture(name) {
+        let lut = this._luts.get(name);
+        if (!lut) {
+            const canvasEl = document.createElement('canvas');
+            canvasEl.width = this.LUT_SIZE;
+            canvasEl.height = 1;
+            const texture = PIXI.Texture.from(canvasEl, {
+                scaleMode: PIXI.SCALE_MODES.LINEAR,
+                wrapMode: PIXI.WRAP_MODES.CLAMP
+            });
+            lut = { canvasEl, texture };
+            this._draw(lut, this.getStops(name));
+            this._luts.set(name, lut);
+        }
+        return lut.texture;
+    }
+
+    /**
+     * Returns the lookup texture for an iridescence gradient config: a named gradient, a strip image,
+     * or a palette taken from the base map. Images load in the background; until then the named
+     * gradient is shown.
+     */
+    static resolve(gConfig, baseMapSrc) {
+        if (gConfig.source === 'image' && gConfig.imagePath) {
+            return this._getLoadedTexture(`image:${gConfig.imagePath}`, gConfig.name, async lut => {
+                this._drawImageStrip(lut, await this._loadImage(gConfig.imagePath));
+            });
+        }
+        if (gConfig.source === 'baseMap' && baseMapSrc) {
+            const count = Math.max(2, Math.round(gConfig.paletteSize));
+            return this._getLoadedTexture(`palette:${count}:${baseMapSrc}`, gConfig.name, async lut => {
+                this._draw(lut, this._extractPalette(await this._loadImage(baseMapSrc), count));
+            });
+        }
+        return this.getTexture(gConfig.name);
+    }
+
+    /** Redraws cached custom gradients in place so filters holding their textures pick up edits. */
+    static refresh() {
+        for (const [name, lut] of this._luts) {
+            if (!this.isPreset(name) && !lut.loaded) this._draw(lut, this.getStops(name));
+        }
+        Hooks.callAll('mapShine.gradientsUpdated');
+    }
+
+    static _getLoadedTexture(key, fallbackName, loader) {
+        if (!this._luts.has(key)) {
+            const texture = this.getTexture(key);
+            const lut = this._luts.get(key);
+            lut.loaded = true;
+            this._draw(lut, this.getStops(fallbackName));
+            loader(lut).then(() => Hooks.callAll('mapShine.gradientsUpdated')).catch(err => {
+                console.warn(`MapShine | Could not build gradient from "${key.slice(key.indexOf(':') + 1)}".`, err);
+            });
+            return texture;
+        }
+        return this._luts.get(key).texture;
+    }
+
+    static async _loadImage(path) {
+        const texture = await foundry.canvas.loadTexture(path);
+        const source = texture?.baseTexture?.resource?.source;
+        if (!source) throw new Error("image could not be loaded");
+        return source;
+    }
+
+    static _draw(lut, stops) {
+        const ctx = lut.canvasEl.getContext('2d');
+        // Stops land on texel centres so 0 and 1 sample the end colours exactly.
+        const gradient = ctx.createLinearGradient(0.5, 0, this.LUT_SIZE - 0.5, 0);
+        for (const stop of stops) gradient.addColorStop(stop.position, stop.color);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.LUT_SIZE, 1);
+        lut.texture.baseTexture.update();
+    }
+
+    /** Copies the middle row of a strip image into the LUT, or the middle column of a tall one. */
+    static _drawImageStrip(lut, image) {
+        const width = image.naturalWidth || image.videoWidth || image.width;
+        const height = image.naturalHeight || image.videoHeight || image.height;
+        const ctx = lut.canvasEl.getContext('2d');
+        ctx.clearRect(0, 0, this.LUT_SIZE, 1);
+        if (height > width) {
+            // Swap axes so the column runs along the LUT.
+            ctx.setTransform(0, 1, 1, 0, 0, 0);
+            ctx.drawImage(image, Math.floor(width / 2), 0, 1, height, 0, 0, 1, this.LUT_SIZE);
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+        } else {
+            ctx.drawImage(image, 0, Math.floor(height / 2), width, 1, 0, 0, this.LUT_SIZE, 1);
+        }
+        lut.texture.baseTexture.update();
+    }
+
+    /**
+     * Finds the map's dominant colours with a few rounds of k-means on a thumbnail, orders them by
+     * luminance and mirrors them so the repeating pattern has no seam.
+     */
+    static _extractPalette(image, count) {
+        const size = 64;
+        const thumb = document.createElement('canvas');
+        thumb.width = thumb.height = size;
+        const ctx = thumb.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, size, size);
+        const data = ctx.getImageData(0, 0, size, size).data;
+
+        const pixels = [];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] >= 128) pixels.push([data[i], data[i + 1], data[i + 2]]);
+        }
+        if (!pixels.length) throw new Error("image has no opaque pixels");
+
+        const luminance = c => 0.2126 * c[0] + 0.7152 * c[1] + 0.0722 * c[2];
+        pixels.sort((a, b) => luminance(a) - luminance(b));
+        let centres = Array.from({ length: count }, (_, i) => [...pixels[Math.floor((i + 0.5) * pixels.length / count)]]);
+
+        for (let iteration = 0; iteration < 8; iteration++) {
+            const sums = centres.map(() => [0, 0, 0, 0]);
+            for (const pixel of pixels) {
+                let best = 0, bestDistance = Infinity;
+                centres.forEach((centre, i) => {
+                    const distance = (pixel[0] - centre[0]) ** 2 + (pixel[1] - centre[1]) ** 2 + (pixel[2] - centre[2]) ** 2;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = i;
+                    }
+                });
+                const sum = sums[best];
+                sum[0] += pixel[0];
+                sum[1] += pixel[1];
+                sum[2] += pixel[2];
+                sum[3]++;
+            }
+            centres = centres.map((centre, i) => sums[i][3] ? sums[i].slice(0, 3).map(v => v / sums[i][3]) : centre);
+        }
+
+        const colors = centres
+            .sort((a, b) => luminance(a) - luminance(b))
+            .map(c => `#${c.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`);
+        const mirrored = [...colors, ...colors.slice(0, -1).reverse()];
+        return mirrored.map((color, i) => ({ position: i / (mirrored.length - 1), color }));
+    }
+
+    static async save(name, stops) {
+        const gradients = foundry.utils.deepClone(this.custom);
+        gradients[name] = { stops: this.normalizeStops(stops) };
+        await game.settings.set(MODULE_ID, CUSTOM_GRADIENTS_SETTING, gradients);
+    }
+
+    static async delete(name) {
+        const gradients = foundry.utils.deepClone(this.custom);
+        delete gradients[name];
+        await game.settings.set(MODULE_ID, CUSTOM_GRADIENTS_SETTING, gradients);
+    }
+
+    /** The custom gradients a config refers to, for bundling into exported profiles. */
+    static collectReferenced(config) {
+        const name = config?.iridescence?.gradient?.name;
+        if (!name || this.isPreset(name) || !Object.hasOwn(this.custom, name)) return {};
+        return { [name]: foundry.utils.deepClone(this.custom[name]) };
+    }
+}
+
 const OVERLAY_CONFIG = {
 
     enabled: true,
@@ -211,6 +449,36 @@ const OVERLAY_CONFIG = {
                 brightness1: 0.15,
                 brightness2: 0.05
             },
+            radial: {
+                centerX: 0.5,
+                centerY: 0.5,
+                speed: 0.01,
+                beamCount: 1,
+                beamWidth: 0.3,
+                falloff: 0.2,
+                intensity: 1.0
+            },
+            ripples: {
+                centerX: 0.5,
+                centerY: 0.5,
+                speed: 0.01,
+                frequency: 2.0,
+                sharpness: 4.0,
+                falloff: 0.1,
+                intensity: 1.0
+            },
+            voronoi: {
+                density: 6.0,
+                glintSize: 0.15,
+                twinkleSpeed: 0.02,
+                intensity: 1.5
+            },
+            caustics: {
+                scale: 1.0,
+                speed: 0.005,
+                sharpness: 8.0,
+                intensity: 1.0
+            },
         },
         noise: {
             enabled: true,
@@ -221,12 +489,27 @@ const OVERLAY_CONFIG = {
             contrast: 0.15,
             softness: 1.0
         },
+        lighting: {
+            mode: 'pattern',
+            intensity: 1.0,
+            shininess: 24.0,
+            lightHeight: 0.25,
+            normalStrength: 1.0,
+            flipGreen: false
+        },
+        roughness: {
+            smoothSharpness: 4.0,
+            roughSharpness: 0.5,
+            curve: 1.0,
+            bloomSpread: 12
+        },
         shineBloom: {
             enabled: false,
             threshold: 0.41,
             brightness: 1.5,
             blur: 0,
-            quality: 6
+            quality: 6,
+            resolutionScale: 0.5
         },
         starburst: {
             enabled: false,
@@ -249,6 +532,10 @@ const OVERLAY_CONFIG = {
         intensity: 2.0,
         shineInfluence: 2.5,
         maskBlur: 0,
+        fogOfWar: {
+            mode: 'visible',
+            exploredBrightness: 0.3
+        },
         postBlur: {
             enabled: false,
             blurAmount: 1.0,
@@ -395,10 +682,17 @@ const OVERLAY_CONFIG = {
         enabled: true,
         texturePath: "",
         blendMode: 1,
+        mode: 'pattern',
         intensity: 0.85,
         speed: 0,
         scale: 0.1,
         noiseAmount: 0.05,
+        thinFilm: {
+            thickness: 450,
+            thicknessRange: 300,
+            filmIndex: 1.33,
+            viewStrength: 1.0
+        },
         distortion: {
             enabled: true,
             strength: 0.03
@@ -413,7 +707,10 @@ const OVERLAY_CONFIG = {
             softness: 1.0
         },
         gradient: {
+            source: 'preset',
             name: 'toxic',
+            imagePath: "",
+            paletteSize: 6,
             hueShift: 0.65,
             brightness: -0.01,
             contrast: 0.6
@@ -425,11 +722,28 @@ const OVERLAY_CONFIG = {
         texturePath: "",
         blendMode: 1,
         intensity: 1.7,
+        animation: {
+            mode: 'none',
+            speed: 1.0,
+            strength: 0.5
+        },
+        lights: {
+            threshold: 0.6,
+            minSize: 0.0005,
+            maxLights: 24,
+            radiusScale: 3.0,
+            brightRatio: 0.4,
+            alpha: 0.5
+        },
         masking: {
             enabled: true,
             threshold: 0,
             softness: 0.25
         },
+        fogOfWar: {
+            mode: 'visible',
+            exploredBrightness: 0.3
+        },
         tokenMasking: {
             enabled: true,
             threshold: 0
@@ -458,6 +772,16 @@ const OVERLAY_CONFIG = {
         softness: 1.0,
 
         invert: false,
+        mode: 'live',
+        phosphorescence: {
+            chargeTime: 2.0,
+            halfLife: 10.0,
+            resolution: 512
+        },
+        fogOfWar: {
+            mode: 'visible',
+            exploredBrightness: 0.3
+        },
 
         tokenMasking: {
             enabled: true,
@@ -469,6 +793,12 @@ const OVERLAY_CONFIG = {
         enabled: true,
         texturePath: "",
         intensity: 0.0005,
+        rise: {
+            direction: 0,
+            speed: 40,
+            height: 150
+        },
+        dispersion: 0.0,
         noise: {
             speed: 0.095,
             scale: 2.9,
@@ -486,7 +816,8 @@ const OVERLAY_CONFIG = {
         bloomScale: 1.0,
         brightness: 1.0,
         blur: 8,
-        quality: 4
+        quality: 4,
+        resolutionScale: 0.5
     },
 
     postProcessing: {
@@ -553,6 +884,64 @@ const OVERLAY_CONFIG = {
     },
 };
 
+// OVERLAY_CONFIG is mutated in place as profiles load, so keep a pristine copy for defaults and validation.
+const MODULE_DEFAULT_CONFIG = foundry.utils.deepClone(OVERLAY_CONFIG);
+
+const getConfigValue = (obj, path) => {
+    return path.split('.').reduce((acc, part) => {
+        if (!acc) return undefined;
+        if (acc[part] !== undefined) return acc[part];
+        const match = part.match(/(\w+)\[(\d+)\]/);
+        if (match) {
+            const arr = acc[match[1]];
+            return arr ? arr[parseInt(match[2])] : undefined;
+        }
+        return undefined;
+    }, obj);
+};
+
+const TARGET_OVERRIDE_KEYS = ['baseShine', 'iridescence', 'ambient', 'groundGlow'];
+
+// These live on shared containers or screen-space masks, so they cannot differ per target.
+const TARGET_GLOBAL_ONLY_PATHS = [
+    'baseShine.animation.updateFrequency',
+    'baseShine.compositing',
+    'baseShine.shineBloom.brightness',
+    'baseShine.rgbSplit',
+    'baseShine.starburst',
+    'ambient.tokenMasking',
+    'ambient.masking',
+    'ambient.fogOfWar',
+    'ambient.lights',
+    'groundGlow.luminanceThreshold',
+    'groundGlow.softness',
+    'groundGlow.invert',
+    'groundGlow.mode',
+    'groundGlow.phosphorescence',
+    'groundGlow.tokenMasking',
+    'groundGlow.fogOfWar'
+];
+
+const isTargetOverridePath = (path) => {
+    if (!TARGET_OVERRIDE_KEYS.includes(path.split('.')[0])) return false;
+    return !TARGET_GLOBAL_ONLY_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}.`));
+};
+
+const getTargetOverrides = (targetData, key) => {
+    const overrides = targetData?.overrides?.[key];
+    return overrides && !foundry.utils.isEmpty(overrides) ? overrides : null;
+};
+
+const resolveTargetConfig = (config, targetData) => {
+    const overrides = {};
+    for (const key of TARGET_OVERRIDE_KEYS) {
+        const keyOverrides = getTargetOverrides(targetData, key);
+        if (keyOverrides) overrides[key] = foundry.utils.deepClone(keyOverrides);
+    }
+    if (foundry.utils.isEmpty(overrides)) return config;
+    return foundry.utils.mergeObject(foundry.utils.deepClone(config), ClientOverrides.apply(overrides), { inplace: false });
+};
+
 const hexToRgbArray = (hex) => {
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
     return result ? [
@@ -692,6 +1081,120 @@ class LoadingScreen {
     }
 }
 
+/**
+ * Renders Foundry's own illumination into a screen-sized texture. The illumination container is
+ * normally multiplied straight onto the stage, so its filter is set aside while it is drawn here.
+ */
+class FoundryIlluminationProvider {
+    id = 'foundry';
+    label = "Foundry Lighting (built-in)";
+    priority = 0;
+
+    constructor() {
+        this.renderTexture = null;
+        this._lastFrame = -1;
+    }
+
+    isAvailable() {
+        return !!canvas.ready && !!canvas.effects?.illumination;
+    }
+
+    getLightingTexture() {
+        const illumination = canvas.effects?.illumination;
+        const renderer = canvas.app?.renderer;
+        if (!illumination || !renderer) return null;
+
+        const screen = renderer.screen;
+        if (!this.renderTexture) {
+            this.renderTexture = PIXI.RenderTexture.create({ width: screen.width, height: screen.height });
+        } else if (this.renderTexture.width !== screen.width || this.renderTexture.height !== screen.height) {
+            this.renderTexture.resize(screen.width, screen.height);
+        }
+
+        // Several effects ask for the texture each frame; draw it once.
+        const frame = canvas.app.ticker.lastTime;
+        if (frame === this._lastFrame) return this.renderTexture;
+        this._lastFrame = frame;
+
+        const filters = illumination.filters;
+        illumination.filters = null;
+        try {
+            renderer.render(illumination, { renderTexture: this.renderTexture, clear: true, skipUpdateTransform: true });
+        } finally {
+            illumination.filters = filters;
+        }
+        return this.renderTexture;
+    }
+
+    destroy() {
+        this.renderTexture?.destroy(true);
+        this.renderTexture = null;
+        this._lastFrame = -1;
+    }
+}
+
+/**
+ * Where Glow in the Dark and the lighting masks get scene lighting from. A provider is an object
+ * with `id`, `label`, `priority`, `isAvailable()` and `getLightingTexture()` (plus an optional
+ * `destroy()`, called when it is unregistered or replaced), where the texture is the scene's
+ * illumination in screen space. The client setting picks one; on "auto" the available provider with
+ * the highest priority wins.
+ */
+class IlluminationProviders {
+    static _providers = new Map();
+    static choices = { auto: "Automatic" };
+
+    static register(provider) {
+        if (!provider?.id || typeof provider.getLightingTexture !== 'function') {
+            console.warn("MapShine | Illumination providers need an id and a getLightingTexture() method.", provider);
+            return false;
+        }
+        this._providers.get(provider.id)?.destroy?.();
+        this._providers.set(provider.id, provider);
+        this.choices[provider.id] = provider.label ?? provider.id;
+        return true;
+    }
+
+    static unregister(id) {
+        this._providers.get(id)?.destroy?.();
+        delete this.choices[id];
+        return this._providers.delete(id);
+    }
+
+    static list() {
+        return [...this._providers.values()].map(p => ({ id: p.id, label: p.label ?? p.id, available: this._isAvailable(p) }));
+    }
+
+    static _isAvailable(provider) {
+        return provider.isAvailable ? !!provider.isAvailable() : true;
+    }
+
+    /** Returns the provider in use, or null when none can supply lighting right now. */
+    static getActive() {
+        const selected = game.settings.get(MODULE_ID, ILLUMINATION_PROVIDER_SETTING);
+        const chosen = this._providers.get(selected);
+        if (chosen && this._isAvailable(chosen)) return chosen;
+        return [...this._providers.values()]
+            .filter(p => this._isAvailable(p))
+            .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0))[0] ?? null;
+    }
+
+    /** Frees the built-in provider's texture between scenes. Registered providers stay live until unregistered. */
+    static releaseSceneResources() {
+        const provider = this._providers.get('foundry');
+        if (provider instanceof FoundryIlluminationProvider) provider.destroy();
+    }
+}
+
+IlluminationProviders.register(new FoundryIlluminationProvider());
+IlluminationProviders.register({
+    id: 'illuminationbuffer',
+    label: "Illumination Buffer module",
+    priority: 10,
+    isAvailable: () => !!game.modules.get('illuminationbuffer')?.active && !!game.modules.get('illuminationbuffer').api,
+    getLightingTexture: () => game.modules.get('illuminationbuffer').api.getLightingTexture()
+});
+
 class LightingEffectManager {
     constructor() {
         console.log("LightingEffectManager | Initializing.");
@@ -708,17 +1211,17 @@ class LightingEffectManager {
 
     update() {
         const config = OVERLAY_CONFIG.postProcessing.colorCorrection;
-        const illuminationAPI = game.modules.get('illuminationbuffer')?.api;
+        const illumination = IlluminationProviders.getActive();
         const ccFilter = ScreenEffectsManager.getFilter('colorCorrection');
 
-        if (!config.mask.enabled || !illuminationAPI || !ccFilter) {
+        if (!config.mask.enabled || !illumination || !ccFilter) {
             if (ccFilter) ccFilter.uniforms.uMaskEnabled = false;
             return;
         }
 
         this.maskGenerator.update(
             canvas.app.renderer,
-            illuminationAPI.getLightingTexture(),
+            illumination.getLightingTexture(),
             config.mask.luminanceThreshold,
             config.mask.softness,
             config.mask.invert 
@@ -785,12 +1288,23 @@ class ShinePatternFilter extends PIXI.Filter {
             uniform float u_shared_patternScale;
 
             uniform bool u_noise_enabled;
+            uniform int u_pattern_type;
+            uniform vec4 u_origin_rect;
             uniform bool u_s1_enabled, u_s2_enabled;
             uniform float u_s1_speed, u_s1_intensity, u_s1_angle_rad, u_s1_sharpness, u_s1_band_density, u_s1_band_width, u_s1_sub_stripe_max_count, u_s1_sub_stripe_max_sharp;
             uniform float u_s2_speed, u_s2_intensity, u_s2_angle_rad, u_s2_sharpness, u_s2_band_density, u_s2_band_width, u_s2_sub_stripe_max_count, u_s2_sub_stripe_max_sharp;
+            uniform float u_cb_grid_size, u_cb_brightness1, u_cb_brightness2;
+            uniform vec2 u_radial_center;
+            uniform float u_radial_speed, u_radial_beam_count, u_radial_beam_width, u_radial_falloff, u_radial_intensity;
+            uniform vec2 u_ripple_center;
+            uniform float u_ripple_speed, u_ripple_frequency, u_ripple_sharpness, u_ripple_falloff, u_ripple_intensity;
+            uniform float u_voronoi_density, u_voronoi_glint_size, u_voronoi_twinkle_speed, u_voronoi_intensity;
+            uniform float u_caustics_scale, u_caustics_speed, u_caustics_sharpness, u_caustics_intensity;
 
             const float PI = 3.14159265359;
+            const float TAU = 6.28318530718;
             float random(vec2 st) { return fract(sin(dot(st.xy, vec2(12.9898, 78.233))) * 43758.5453123); }
+            vec2 random2(vec2 st) { return vec2(random(st), random(st + vec2(37.1, 17.3))); }
 
             float createStripeLayer(vec2 uv, float t, float angle, float density, float width, float sub_count, float sub_sharp, float sharp) {
                 float p_perp = uv.x * cos(angle) + uv.y * sin(angle); 
@@ -813,16 +1327,86 @@ class ShinePatternFilter extends PIXI.Filter {
                 return result;
             }
 
+            float createCheckerboard(vec2 uv) {
+                vec2 cell = floor(uv * u_cb_grid_size);
+                return mod(cell.x + cell.y, 2.0) < 0.5 ? u_cb_brightness1 : u_cb_brightness2;
+            }
+
+            // A lighthouse-style beam sweeping around a point, fading with distance.
+            float createRadialSweep(vec2 offset) {
+                float angle = atan(offset.y, offset.x) - u_time * u_radial_speed;
+                float beam = fract(angle / TAU * u_radial_beam_count);
+                float width = max(u_radial_beam_width, 0.001);
+                float sweep = smoothstep(width, 0.0, min(beam, 1.0 - beam) * 2.0);
+                return sweep / (1.0 + length(offset) * u_radial_falloff) * u_radial_intensity;
+            }
+
+            float createRipples(vec2 offset) {
+                float dist = length(offset);
+                float wave = 0.5 + 0.5 * sin((dist * u_ripple_frequency - u_time * u_ripple_speed) * TAU);
+                return pow(wave, u_ripple_sharpness) / (1.0 + dist * u_ripple_falloff) * u_ripple_intensity;
+            }
+
+            // Small glints at randomly placed points in each cell, each twinkling on its own phase.
+            float createVoronoiGlints(vec2 uv) {
+                vec2 p = uv * u_voronoi_density;
+                vec2 cell = floor(p);
+                vec2 local = fract(p);
+                float result = 0.0;
+                for (int y = -1; y <= 1; y++) {
+                    for (int x = -1; x <= 1; x++) {
+                        vec2 neighbour = vec2(float(x), float(y));
+                        vec2 seed = random2(cell + neighbour);
+                        float dist = length(neighbour + seed - local);
+                        float twinkle = 0.5 + 0.5 * sin(u_time * u_voronoi_twinkle_speed * (0.5 + seed.x) * TAU + seed.y * TAU);
+                        float glint = 1.0 - smoothstep(0.0, max(u_voronoi_glint_size, 0.001), dist);
+                        result = max(result, glint * twinkle * twinkle);
+                    }
+                }
+                return result * u_voronoi_intensity;
+            }
+
+            // Iterated sine warp, tiled so the domain stays small enough for mediump.
+            float createCaustics(vec2 uv) {
+                float t = u_time * u_caustics_speed;
+                vec2 p = mod(uv * u_caustics_scale * TAU, TAU);
+                vec2 i = p;
+                float c = 1.0;
+                const float inten = 0.005;
+                for (int n = 0; n < 5; n++) {
+                    float tn = t * (1.0 - (3.5 / float(n + 1)));
+                    i = p + vec2(cos(tn - i.x) + sin(tn + i.y), sin(tn - i.y) + cos(tn + i.x));
+                    c += 1.0 / length(vec2(p.x / (sin(i.x + tn) / inten), p.y / (cos(i.y + tn) / inten)));
+                }
+                c = 1.17 - pow(c / 5.0, 1.4);
+                return pow(abs(c), u_caustics_sharpness) * u_caustics_intensity;
+            }
+
             void main() {
                 vec2 world_coord = u_camera_offset + (vTextureCoord * u_view_size);
 
-                vec2 pattern_uv = (world_coord / (80.0 / u_canvas_scale)) * u_shared_patternScale;
-
-                float pattern1 = u_s1_enabled ? createStripeLayer(pattern_uv, u_time * u_s1_speed, u_s1_angle_rad, u_s1_band_density, u_s1_band_width, u_s1_sub_stripe_max_count, u_s1_sub_stripe_max_sharp, u_s1_sharpness) * u_s1_intensity : 0.0;
-                float pattern2 = u_s2_enabled ? createStripeLayer(pattern_uv, u_time * u_s2_speed, u_s2_angle_rad, u_s2_band_density, u_s2_band_width, u_s2_sub_stripe_max_count, u_s2_sub_stripe_max_sharp, u_s2_sharpness) * u_s2_intensity : 0.0;
+                float uv_scale = u_shared_patternScale / (80.0 / u_canvas_scale);
+                vec2 pattern_uv = world_coord * uv_scale;
+
+                float pattern = 0.0;
+                if (u_pattern_type == 1) {
+                    pattern = createCheckerboard(pattern_uv);
+                } else if (u_pattern_type == 2) {
+                    pattern = createRadialSweep((world_coord - (u_origin_rect.xy + u_radial_center * u_origin_rect.zw)) * uv_scale);
+                } else if (u_pattern_type == 3) {
+                    pattern = createRipples((world_coord - (u_origin_rect.xy + u_ripple_center * u_origin_rect.zw)) * uv_scale);
+                } else if (u_pattern_type == 4) {
+                    pattern = createVoronoiGlints(pattern_uv);
+                } else if (u_pattern_type == 5) {
+                    pattern = createCaustics(pattern_uv);
+                } else {
+                    float pattern1 = u_s1_enabled ? createStripeLayer(pattern_uv, u_time * u_s1_speed, u_s1_angle_rad, u_s1_band_density, u_s1_band_width, u_s1_sub_stripe_max_count, u_s1_sub_stripe_max_sharp, u_s1_sharpness) * u_s1_intensity : 0.0;
+                    float pattern2 = u_s2_enabled ? createStripeLayer(pattern_uv, u_time * u_s2_speed, u_s2_angle_rad, u_s2_band_density, u_s2_band_width, u_s2_sub_stripe_max_count, u_s2_sub_stripe_max_sharp, u_s2_sharpness) * u_s2_intensity : 0.0;
+                    pattern = max(pattern1, pattern2);
+                }
 
                 float noise_mask = u_noise_enabled ? texture2D(u_noiseMap, vTextureCoord).r : 1.0; 
-                float shineIntensity = max(pattern1, pattern2) * u_shared_maxBrightness * u_globalIntensity * noise_mask;
+                float shineIntensity = pattern * u_shared_maxBrightness * u_globalIntensity * noise_mask;
 
                 vec3 final_rgb = vec3(1.0) * shineIntensity;
                 gl_FragColor = vec4(final_rgb, 1.0);
@@ -838,6 +1422,7 @@ class ProceduralPatternLayer extends foundry.canvas.layers.CanvasLayer {
         this.sourceSprite = null;
         this.shinePatternFilter = null;
         this.noiseTextureManager = null; 
+        this.variants = new Map();
 
         this._frameCount = 0; 
         this._needsUpdate = true; 
@@ -848,8 +1433,8 @@ class ProceduralPatternLayer extends foundry.canvas.layers.CanvasLayer {
         this._onPanBound = this._onPan.bind(this);
     }
 
-    getPatternTexture() {
-        return this.renderTexture;
+    getPatternTexture(targetId = null) {
+        return this.variants.get(targetId)?.renderTexture ?? this.renderTexture;
     }
 
     async _draw(options) {
@@ -880,80 +1465,40 @@ class ProceduralPatternLayer extends foundry.canvas.layers.CanvasLayer {
     }
 
     _setupFilters() {
-        const renderer = canvas.app.renderer;
-        const bs = OVERLAY_CONFIG.baseShine;
-        const p = bs.pattern;
-        const s1 = p.stripes1;
-        const s2 = p.stripes2;
+        this.shinePatternFilter = this._createPatternFilter(OVERLAY_CONFIG, canvas.dimensions.sceneRect);
+    }
 
+    _createPatternFilter(config, rect) {
+        const renderer = canvas.app.renderer;
         const initialUniforms = {
             u_noiseMap: PIXI.Texture.EMPTY,
             u_time: 0.0,
             u_camera_offset: [0, 0],
             u_view_size: [renderer.screen.width, renderer.screen.height],
             u_canvas_scale: canvas.stage?.scale.x || 1.0, 
-            u_globalIntensity: bs.animation.globalIntensity,
-            u_shared_maxBrightness: p.shared.maxBrightness,
-            u_shared_patternScale: p.shared.patternScale,
-            u_noise_enabled: bs.noise.enabled,
-            u_s1_enabled: s1.enabled,
-            u_s1_speed: s1.speed,
-            u_s1_intensity: s1.intensity,
-            u_s1_angle_rad: s1.angle * (Math.PI / 180),
-            u_s1_sharpness: s1.sharpness,
-            u_s1_band_density: s1.bandDensity,
-            u_s1_band_width: s1.bandWidth,
-            u_s1_sub_stripe_max_count: s1.subStripeMaxCount,
-            u_s1_sub_stripe_max_sharp: s1.subStripeMaxSharp,
-            u_s2_enabled: s2.enabled,
-            u_s2_speed: s2.speed,
-            u_s2_intensity: s2.intensity,
-            u_s2_angle_rad: s2.angle * (Math.PI / 180),
-            u_s2_sharpness: s2.sharpness,
-            u_s2_band_density: s2.bandDensity,
-            u_s2_band_width: s2.bandWidth,
-            u_s2_sub_stripe_max_count: s2.subStripeMaxCount,
-            u_s2_sub_stripe_max_sharp: s2.subStripeMaxSharp,
+            u_origin_rect: [rect.x, rect.y, rect.width, rect.height],
         };
 
         try {
-            this.shinePatternFilter = new ShinePatternFilter(initialUniforms);
+            const filter = new ShinePatternFilter(initialUniforms);
+            this._applyPatternUniforms(filter.uniforms, config);
             systemStatus.update('shaders', 'baseShine', {
                 state: 'ok',
                 message: 'Compiled successfully.'
             });
+            return filter;
         } catch (err) {
-
-            this.shinePatternFilter = null;
             systemStatus.update('shaders', 'baseShine', { state: 'error', message: `Compilation failed: ${err.message}` });
+            return null;
         }
     }
 
-    async _tearDown(options) {
-        canvas.app.ticker.remove(this._onAnimateBound);
-        Hooks.off('canvasPan', this._onPanBound);
-        this.renderTexture?.destroy(true);
-        this.sourceSprite?.destroy();
-        this.shinePatternFilter?.destroy();
-        this.noiseTextureManager?.destroy();
-    }
-
-    async updateFromConfig(config) {
-        if (!this.shinePatternFilter) return;
-        this.noiseTextureManager?.updateFromConfig(config);
-
+    _applyPatternUniforms(uPattern, config) {
         const bs = config.baseShine;
         const p = bs.pattern;
         const s1 = p.stripes1;
         const s2 = p.stripes2;
 
-        const newFrequency = bs.animation.updateFrequency;
-        if (this.updateFrequency !== newFrequency) {
-            this.updateFrequency = Math.max(0, newFrequency); 
-            this._needsUpdate = true;
-        }
-
-        const uPattern = this.shinePatternFilter.uniforms;
         uPattern.u_globalIntensity = bs.animation.globalIntensity;
         uPattern.u_shared_maxBrightness = p.shared.maxBrightness;
         uPattern.u_shared_patternScale = p.shared.patternScale;
@@ -977,6 +1522,101 @@ class ProceduralPatternLayer extends foundry.canvas.layers.CanvasLayer {
         uPattern.u_s2_sub_stripe_max_count = s2.subStripeMaxCount;
         uPattern.u_s2_sub_stripe_max_sharp = s2.subStripeMaxSharp;
 
+        uPattern.u_pattern_type = Math.max(0, SHINE_PATTERN_TYPES.indexOf(bs.patternType));
+        const { checkerboard: cb, radial, ripples, voronoi, caustics } = p;
+        uPattern.u_cb_grid_size = cb.gridSize;
+        uPattern.u_cb_brightness1 = cb.brightness1;
+        uPattern.u_cb_brightness2 = cb.brightness2;
+        uPattern.u_radial_center = [radial.centerX, radial.centerY];
+        uPattern.u_radial_speed = radial.speed;
+        uPattern.u_radial_beam_count = radial.beamCount;
+        uPattern.u_radial_beam_width = radial.beamWidth;
+        uPattern.u_radial_falloff = radial.falloff;
+        uPattern.u_radial_intensity = radial.intensity;
+        uPattern.u_ripple_center = [ripples.centerX, ripples.centerY];
+        uPattern.u_ripple_speed = ripples.speed;
+        uPattern.u_ripple_frequency = ripples.frequency;
+        uPattern.u_ripple_sharpness = ripples.sharpness;
+        uPattern.u_ripple_falloff = ripples.falloff;
+        uPattern.u_ripple_intensity = ripples.intensity;
+        uPattern.u_voronoi_density = voronoi.density;
+        uPattern.u_voronoi_glint_size = voronoi.glintSize;
+        uPattern.u_voronoi_twinkle_speed = voronoi.twinkleSpeed;
+        uPattern.u_voronoi_intensity = voronoi.intensity;
+        uPattern.u_caustics_scale = caustics.scale;
+        uPattern.u_caustics_speed = caustics.speed;
+        uPattern.u_caustics_sharpness = caustics.sharpness;
+        uPattern.u_caustics_intensity = caustics.intensity;
+    }
+
+    // Radial and ripple centres are relative to `rect`, so a tile's variant is centred on the tile.
+    setVariant(targetId, config, { ownNoise = false, rect = canvas.dimensions.sceneRect } = {}) {
+        let variant = this.variants.get(targetId);
+        if (!variant) {
+            const filter = this._createPatternFilter(config, rect);
+            if (!filter) return;
+            const renderer = canvas.app.renderer;
+            variant = {
+                filter,
+                renderTexture: PIXI.RenderTexture.create({ width: renderer.screen.width, height: renderer.screen.height }),
+                sprite: new PIXI.Sprite(PIXI.Texture.WHITE),
+                noiseManager: null
+            };
+            variant.sprite.width = renderer.screen.width;
+            variant.sprite.height = renderer.screen.height;
+            variant.sprite.filters = [filter];
+            this.variants.set(targetId, variant);
+        }
+
+        if (ownNoise && !variant.noiseManager) {
+            variant.noiseManager = new NoiseTextureManager(canvas.app.renderer, 'baseShine.noise');
+        } else if (!ownNoise && variant.noiseManager) {
+            variant.noiseManager.destroy();
+            variant.noiseManager = null;
+        }
+        variant.noiseManager?.updateFromConfig(config);
+
+        variant.filter.uniforms.u_origin_rect = [rect.x, rect.y, rect.width, rect.height];
+        this._applyPatternUniforms(variant.filter.uniforms, config);
+        this._needsUpdate = true;
+    }
+
+    removeVariant(targetId) {
+        const variant = this.variants.get(targetId);
+        if (!variant) return;
+        variant.noiseManager?.destroy();
+        variant.filter.destroy();
+        variant.sprite.destroy();
+        variant.renderTexture.destroy(true);
+        this.variants.delete(targetId);
+    }
+
+    async _tearDown(options) {
+        canvas.app.ticker.remove(this._onAnimateBound);
+        Hooks.off('canvasPan', this._onPanBound);
+        for (const targetId of [...this.variants.keys()]) {
+            this.removeVariant(targetId);
+        }
+        this.renderTexture?.destroy(true);
+        this.sourceSprite?.destroy();
+        this.shinePatternFilter?.destroy();
+        this.noiseTextureManager?.destroy();
+    }
+
+    async updateFromConfig(config) {
+        if (!this.shinePatternFilter) return;
+        this.noiseTextureManager?.updateFromConfig(config);
+
+        const bs = config.baseShine;
+
+        const newFrequency = bs.animation.updateFrequency;
+        if (this.updateFrequency !== newFrequency) {
+            this.updateFrequency = Math.max(0, newFrequency); 
+            this._needsUpdate = true;
+        }
+
+        this._applyPatternUniforms(this.shinePatternFilter.uniforms, config);
+
         this._needsUpdate = true;
     }
 
@@ -1016,6 +1656,20 @@ class ProceduralPatternLayer extends foundry.canvas.layers.CanvasLayer {
             clear: true
         });
 
+        for (const variant of this.variants.values()) {
+            const u = variant.filter.uniforms;
+            variant.noiseManager?.update(deltaTime, renderer);
+            u.u_time = uPattern.u_time;
+            u.u_camera_offset = uPattern.u_camera_offset;
+            u.u_view_size = uPattern.u_view_size;
+            u.u_canvas_scale = uPattern.u_canvas_scale;
+            u.u_noiseMap = variant.noiseManager?.getTexture() ?? uPattern.u_noiseMap;
+            renderer.render(variant.sprite, {
+                renderTexture: variant.renderTexture,
+                clear: true
+            });
+        }
+
         this._needsUpdate = false;
     }
 }
@@ -1206,7 +1860,39 @@ class ColorCorrectionFilter extends PIXI.Filter {
     }
 }
 
-class AmbientColorFilter extends PIXI.Filter {
+/**
+ * A filter that can be shared by many sprites but still samples a map aligned with whichever
+ * sprite it is filtering. Maps are registered in `spriteMaps` (sprite -> texture); sprites
+ * without one render with `uHasSpriteMap` false. `uSpriteMapMatrix` maps filter coordinates to the
+ * sprite's own 0..1 space for any sprite target, map or not.
+ */
+class SpriteMapFilter extends PIXI.Filter {
+    constructor(vertexSrc, fragmentSrc, uniforms = {}, spriteMaps = null) {
+        super(vertexSrc, fragmentSrc, {
+            uSpriteMap: PIXI.Texture.EMPTY,
+            uHasSpriteMap: false,
+            uSpriteMapMatrix: new PIXI.Matrix(),
+            ...uniforms
+        });
+        this.spriteMaps = spriteMaps;
+    }
+
+    apply(filterManager, input, output, clearMode, currentState) {
+        const target = currentState?.target;
+        const map = target ? this.spriteMaps?.get(target) : null;
+        this.uniforms.uHasSpriteMap = !!map;
+        this.uniforms.uSpriteMap = map ?? PIXI.Texture.EMPTY;
+        if (target instanceof PIXI.Sprite) filterManager.calculateSpriteMatrix(this.uniforms.uSpriteMapMatrix, target);
+        filterManager.applyFilter(this, input, output, clearMode);
+    }
+}
+
+/**
+ * Colour correction for emissive maps, plus optional flicker/pulse animation. When the sprite has
+ * an _AmbientAnim map, red sets each region's phase, green its speed (black stays still) and, in
+ * "map" mode, blue picks the behaviour.
+ */
+class AmbientColorFilter extends SpriteMapFilter {
     constructor(options = {}) {
         const vertexSrc = `
             attribute vec2 aVertexPosition;
@@ -1241,7 +1927,65 @@ class AmbientColorFilter extends PIXI.Filter {
             uniform bool uTokenMaskEnabled;
             uniform float uTokenMaskThreshold;
 
+            uniform bool uColorCorrection;
+            uniform float uTime;
+            uniform int uAnimMode;
+            uniform float uAnimSpeed;
+            uniform float uAnimStrength;
+            uniform sampler2D uSpriteMap;
+            uniform bool uHasSpriteMap;
+            uniform mat3 uSpriteMapMatrix;
+
             const vec3 lum_weights = vec3(0.299, 0.587, 0.114);
+            const float TAU = 6.2831853;
+
+            float hash(float n) { return fract(sin(n) * 43758.5453123); }
+
+            float noise1(float x) {
+                float i = floor(x);
+                float f = fract(x);
+                return mix(hash(i), hash(i + 1.0), f * f * (3.0 - 2.0 * f));
+            }
+
+            // Each behaviour returns a brightness in 0-1 for time t (seconds) and a per-region seed.
+            float animate(int mode, float t, float seed) {
+                if (mode == 1) {
+                    return clamp(0.55 * noise1(t * 9.0 + seed * 31.0) + 0.45 * noise1(t * 23.0 + seed * 57.0), 0.0, 1.0);
+                } else if (mode == 2) {
+                    return 0.5 + 0.5 * sin(t * TAU * 0.5 + seed * TAU);
+                } else if (mode == 3) {
+                    float f = fract(t / 1.2 + seed);
+                    float beat1 = (f - 0.1) * 25.0;
+                    float beat2 = (f - 0.3) * 25.0;
+                    return clamp(exp(-beat1 * beat1) + 0.6 * exp(-beat2 * beat2), 0.0, 1.0);
+                } else if (mode == 4) {
+                    float step_t = t * 6.0 + seed * 97.0;
+                    float spark = step(0.92, hash(floor(step_t) + seed * 131.0));
+                    return spark * (1.0 - fract(step_t));
+                }
+                return 1.0;
+            }
+
+            float animationFactor() {
+                if (uAnimMode == 0) return 1.0;
+                float phase = 0.0;
+                float speed = 1.0;
+                int mode = uAnimMode;
+                if (uHasSpriteMap) {
+                    vec3 anim = texture2D(uSpriteMap, (uSpriteMapMatrix * vec3(vTextureCoord, 1.0)).xy).rgb;
+                    if (anim.g <= 0.0) return 1.0;
+                    phase = anim.r;
+                    speed = anim.g * 2.0;
+                    if (mode == 5) mode = 1 + int(min(anim.b * 4.0, 3.0));
+                } else if (mode == 5) {
+                    mode = 1;
+                }
+                // Sparks flicker per cell rather than per region, so seed them by position on the sprite too.
+                vec2 spriteCoord = (uSpriteMapMatrix * vec3(vTextureCoord, 1.0)).xy;
+                float seed = mode == 4 ? phase + hash(dot(floor(spriteCoord * 48.0), vec2(1.0, 57.0))) : phase;
+                float wave = animate(mode, uTime * uAnimSpeed * speed, seed);
+                return mix(1.0, wave, uAnimStrength);
+            }
 
             void main(void) {
 
@@ -1260,16 +2004,19 @@ class AmbientColorFilter extends PIXI.Filter {
 
                 vec3 workingColor = originalColor.rgb;
 
-                if (uGamma > 0.0) {
-                    workingColor = pow(workingColor, vec3(1.0 / uGamma));
-                }
-                workingColor += uBrightness;
-                workingColor = (workingColor - 0.5) * uContrast + 0.5;
-                float final_luminance = dot(workingColor, lum_weights);
-                workingColor = mix(vec3(final_luminance), workingColor, uSaturation);
-                workingColor = mix(workingColor, uTintColor, uTintAmount);
+                if (uColorCorrection) {
+                    if (uGamma > 0.0) {
+                        workingColor = pow(workingColor, vec3(1.0 / uGamma));
+                    }
+                    workingColor += uBrightness;
+                    workingColor = (workingColor - 0.5) * uContrast + 0.5;
+                    float final_luminance = dot(workingColor, lum_weights);
+                    workingColor = mix(vec3(final_luminance), workingColor, uSaturation);
+                    workingColor = mix(workingColor, uTintColor, uTintAmount);
 
-                workingColor *= u_intensity;
+                    workingColor *= u_intensity;
+                }
+                workingColor *= animationFactor();
 
                 vec3 premultiplied_rgb = workingColor * originalColor.a;
                 gl_FragColor = vec4(premultiplied_rgb, originalColor.a);
@@ -1289,7 +2036,13 @@ class AmbientColorFilter extends PIXI.Filter {
             uTokenMask: PIXI.Texture.EMPTY,
             uTokenMaskEnabled: false,
             uTokenMaskThreshold: options.tokenMaskThreshold ?? 0.1,
-        });
+
+            uColorCorrection: true,
+            uTime: 0.0,
+            uAnimMode: 0,
+            uAnimSpeed: 1.0,
+            uAnimStrength: 0.0,
+        }, options.spriteMaps ?? null);
     }
 }
 
@@ -1395,7 +2148,7 @@ class IridescenceFilter extends PIXI.Filter {
             precision mediump float;
             varying vec2 vTextureCoord;
 
-            const int MAX_COLORS = 8;
+            const float LUT_SIZE = ${GradientLibrary.LUT_SIZE}.0;
 
             uniform sampler2D uSampler;
             uniform sampler2D u_distortionMap;
@@ -1407,8 +2160,16 @@ class IridescenceFilter extends PIXI.Filter {
             uniform float u_intensity;
             uniform float u_noise_amount;
             uniform float u_distortionStrength;
-            uniform vec3 u_gradientColors[MAX_COLORS];
-            uniform int u_numColors;
+            uniform sampler2D u_gradientLUT;
+            uniform int u_mode;
+            uniform vec4 u_target_rect;
+            uniform float u_target_rotation;
+            uniform sampler2D u_thicknessMap;
+            uniform float u_has_thickness;
+            uniform float u_film_thickness;
+            uniform float u_thickness_range;
+            uniform float u_film_index;
+            uniform float u_view_strength;
             uniform float u_hueShift;
             uniform float u_brightness;
             uniform float u_contrast;
@@ -1447,17 +2208,35 @@ class IridescenceFilter extends PIXI.Filter {
             }
 
             vec3 getGradientColor(float t) {
-                if (u_numColors <= 1) { return u_gradientColors[0]; }
-                float pos = t * float(u_numColors - 1);
-                float mix_factor = fract(pos);
-                if (pos < 1.0) { return mix(u_gradientColors[0], u_gradientColors[1], mix_factor); }
-                else if (pos < 2.0) { return mix(u_gradientColors[1], u_gradientColors[2], mix_factor); }
-                else if (pos < 3.0) { return mix(u_gradientColors[2], u_gradientColors[3], mix_factor); }
-                else if (pos < 4.0) { return mix(u_gradientColors[3], u_gradientColors[4], mix_factor); }
-                else if (pos < 5.0) { return mix(u_gradientColors[4], u_gradientColors[5], mix_factor); }
-                else if (pos < 6.0) { return mix(u_gradientColors[5], u_gradientColors[6], mix_factor); }
-                else if (pos < 7.0) { return mix(u_gradientColors[6], u_gradientColors[7], mix_factor); } 
-                else { return u_gradientColors[7]; }
+                float u = (t * (LUT_SIZE - 1.0) + 0.5) / LUT_SIZE;
+                return texture2D(u_gradientLUT, vec2(u, 0.5)).rgb;
+            }
+
+            // Two-beam interference in a film over a surface seen from a pseudo camera one screen
+            // height above the view centre, so panning and zooming change the viewing angle.
+            vec3 getThinFilmColor(vec2 world_coord, vec2 distortion_offset) {
+                vec2 centre = u_target_rect.xy + u_target_rect.zw * 0.5;
+                vec2 camera = u_camera_offset + u_view_size * 0.5;
+                float height = max(u_view_size.y, 1.0);
+                vec2 tilt = ((centre - camera) + (world_coord - centre) * 0.5) / height * u_view_strength;
+                float tilt2 = dot(tilt, tilt);
+                float sin2 = tilt2 / (1.0 + tilt2);
+                float cos_t = sqrt(max(1.0 - sin2 / (u_film_index * u_film_index), 0.0));
+
+                float thickness_sample = 0.5;
+                if (u_has_thickness > 0.5) {
+                    vec2 local = world_coord - centre;
+                    float c = cos(-u_target_rotation);
+                    float s = sin(-u_target_rotation);
+                    vec2 uv = vec2(c * local.x - s * local.y, s * local.x + c * local.y) / u_target_rect.zw + 0.5;
+                    thickness_sample = texture2D(u_thicknessMap, uv).r;
+                }
+                float thickness = u_film_thickness + (thickness_sample - 0.5) * u_thickness_range
+                    + distortion_offset.x * u_distortionStrength * 2000.0;
+
+                vec3 wavelengths = vec3(650.0, 510.0, 475.0);
+                vec3 phase = 12.566371 * u_film_index * thickness * cos_t / wavelengths;
+                return 0.5 - 0.5 * cos(phase);
             }
 
             void main(void) {
@@ -1470,7 +2249,7 @@ class IridescenceFilter extends PIXI.Filter {
                 float pattern_driver = scaled_pattern_uv.x + scaled_pattern_uv.y + breakup_noise + (u_time * u_speed);
                 float final_pos = fract(pattern_driver);
 
-                vec3 base_color = getGradientColor(final_pos);
+                vec3 base_color = u_mode == 1 ? getThinFilmColor(world_coord, distortion_offset) : getGradientColor(final_pos);
 
                 vec3 hsl = rgb2hsl(base_color);
                 hsl.x = fract(hsl.x + u_hueShift);
@@ -1492,8 +2271,16 @@ class IridescenceFilter extends PIXI.Filter {
             u_noise_amount: options.noiseAmount ?? 0.3,
             u_distortionMap: PIXI.Texture.EMPTY,
             u_distortionStrength: options.distortion?.strength ?? 0.0,
-            u_gradientColors: [],
-            u_numColors: 0,
+            u_gradientLUT: PIXI.Texture.WHITE,
+            u_mode: 0,
+            u_target_rect: [0, 0, 1, 1],
+            u_target_rotation: 0.0,
+            u_thicknessMap: PIXI.Texture.WHITE,
+            u_has_thickness: 0.0,
+            u_film_thickness: 450.0,
+            u_thickness_range: 300.0,
+            u_film_index: 1.33,
+            u_view_strength: 1.0,
             u_hueShift: options.gradient?.hueShift ?? 0.0,
             u_brightness: options.gradient?.brightness ?? 0.0,
             u_contrast: options.gradient?.contrast ?? 1.0,
@@ -1638,7 +2425,7 @@ float maskAlpha = 1.0 - smoothstep(uLuminanceThreshold, uLuminanceThreshold + uS
     }
 }
 
-class MetallicShineFilter extends PIXI.Filter {
+class MetallicShineFilter extends SpriteMapFilter {
     constructor(options) {
         const vertexSrc = `
             attribute vec2 aVertexPosition;
@@ -1667,6 +2454,13 @@ class MetallicShineFilter extends PIXI.Filter {
             uniform sampler2D uShinePatternMap;
             uniform float uBoost;
 
+            uniform sampler2D uSpriteMap;
+            uniform bool uHasSpriteMap;
+            uniform mat3 uSpriteMapMatrix;
+            uniform float uSmoothSharpness;
+            uniform float uRoughSharpness;
+            uniform float uRoughnessCurve;
+
             const vec3 lum_weights = vec3(0.299, 0.587, 0.114);
 
             void main(void) {
@@ -1679,6 +2473,13 @@ class MetallicShineFilter extends PIXI.Filter {
                 }
 
                 float shineIntensity = texture2D(uShinePatternMap, vScreenCoord).r;
+                if (uHasSpriteMap) {
+                    vec2 mapCoord = (uSpriteMapMatrix * vec3(vTextureCoord, 1.0)).xy;
+                    float roughness = pow(texture2D(uSpriteMap, mapCoord).r, uRoughnessCurve);
+                    float sharpness = mix(uSmoothSharpness, uRoughSharpness, roughness);
+                    // Narrow lobes get brighter and wide ones dimmer, so smooth metal reads as polished.
+                    shineIntensity = pow(shineIntensity, sharpness) * sqrt(sharpness);
+                }
                 vec3 finalColor = specularColor.rgb * shineIntensity * uBoost;
                 gl_FragColor = vec4(finalColor, shineIntensity);
             }
@@ -1687,35 +2488,370 @@ class MetallicShineFilter extends PIXI.Filter {
         super(vertexSrc, fragmentSrc, {
             uShinePatternMap: options.shinePatternTexture,
             uBoost: options.boost ?? 1.0,
-        });
+            uSmoothSharpness: 4.0,
+            uRoughSharpness: 0.5,
+            uRoughnessCurve: 1.0,
+        }, options.roughnessMaps);
     }
 }
 
-class LightingMaskFilter extends PIXI.Filter {
-    constructor(options = {}) {
+/**
+ * Widens bloom where the sprite's _Roughness map is rough, using a gather blur whose
+ * radius follows the roughness at each pixel. Smooth areas pass through untouched.
+ */
+class RoughnessSpreadFilter extends SpriteMapFilter {
+    constructor(roughnessMaps) {
         const fragmentSrc = `
             precision mediump float;
-            varying vec2 vTextureCoord;
-
-            uniform sampler2D uSampler; 
-            uniform float uLuminanceThreshold;
-            uniform float uSoftness;
-            uniform bool uInvert;
 
-            const vec3 lum_weights = vec3(0.299, 0.587, 0.114);
+            varying vec2 vTextureCoord;
 
-            void main(void) {
-                vec4 lightingColor = texture2D(uSampler, vTextureCoord);
-                float lightLevel = dot(lightingColor.rgb, lum_weights);
+            uniform sampler2D uSampler;
+            uniform vec4 inputSize;
 
-                float maskAlpha = smoothstep(uLuminanceThreshold, uLuminanceThreshold + uSoftness, lightLevel);
+            uniform sampler2D uSpriteMap;
+            uniform bool uHasSpriteMap;
+            uniform mat3 uSpriteMapMatrix;
+            uniform float uRoughnessCurve;
+            uniform float uSpread;
 
-                float finalAlpha = uInvert ? maskAlpha : 1.0 - maskAlpha;
+            const int TAPS = 12;
 
-                gl_FragColor = vec4(vec3(finalAlpha), 1.0);
-            }
-        `;
-        super(PIXI.Filter.defaultVertexSrc, fragmentSrc, {
+            void main(void) {
+                vec4 color = texture2D(uSampler, vTextureCoord);
+                if (!uHasSpriteMap) {
+                    gl_FragColor = color;
+                    return;
+                }
+                vec2 mapCoord = (uSpriteMapMatrix * vec3(vTextureCoord, 1.0)).xy;
+                float radius = pow(texture2D(uSpriteMap, mapCoord).r, uRoughnessCurve) * uSpread;
+                if (radius < 0.5) {
+                    gl_FragColor = color;
+                    return;
+                }
+                // Golden-angle spiral gives an even disc of taps.
+                for (int i = 0; i < TAPS; i++) {
+                    float angle = float(i) * 2.39996;
+                    float dist = sqrt((float(i) + 0.5) / float(TAPS)) * radius;
+                    color += texture2D(uSampler, vTextureCoord + vec2(cos(angle), sin(angle)) * dist * inputSize.zw);
+                }
+                gl_FragColor = color / float(TAPS + 1);
+            }
+        `;
+        super(PIXI.Filter.defaultVertexSrc, fragmentSrc, {
+            uRoughnessCurve: 1.0,
+            uSpread: 0.0
+        }, roughnessMaps);
+    }
+}
+
+const MAX_SHINE_LIGHTS = 8;
+
+/**
+ * Returns the active AmbientLight and token light sources on the canvas, in scene coordinates.
+ * The global light is skipped since it has no position.
+ */
+const collectLightSources = () => {
+    const lights = [];
+    for (const source of canvas.effects?.lightSources ?? []) {
+        if (!source.active || source instanceof foundry.canvas.sources.GlobalLightSource) continue;
+        const { x, y, radius, color, alpha = 0.5 } = source.data;
+        if (!(radius > 0)) continue;
+        // Uncoloured lights are white; otherwise tint toward the light colour by its intensity.
+        const rgb = color != null ? foundry.utils.Color.from(color).rgb.map(c => 1 - alpha + c * alpha) : [1, 1, 1];
+        lights.push({ x, y, radius, color: rgb });
+    }
+    return lights;
+};
+
+/**
+ * Specular highlights from nearby light sources, shaded with the target's _Normal map
+ * (or a flat surface if it has none) and masked by its _Specular map.
+ * Drawn on a mesh whose vertices are in scene coordinates.
+ */
+class NormalLightingShader extends PIXI.Shader {
+    constructor(uniforms = {}) {
+        const vertexSrc = `
+            attribute vec2 aVertexPosition;
+            attribute vec2 aTextureCoord;
+
+            uniform mat3 projectionMatrix;
+            uniform mat3 translationMatrix;
+
+            varying vec2 vTextureCoord;
+            varying vec2 vScenePosition;
+
+            void main(void) {
+                gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+                vTextureCoord = aTextureCoord;
+                vScenePosition = aVertexPosition;
+            }
+        `;
+
+        const fragmentSrc = `
+            precision highp float;
+
+            varying vec2 vTextureCoord;
+            varying vec2 vScenePosition;
+
+            uniform sampler2D uSpecularMap;
+            uniform sampler2D uNormalMap;
+            uniform bool uHasNormalMap;
+            uniform bool uFlipGreen;
+            uniform float uRotation;
+            uniform float uIntensity;
+            uniform float uShininess;
+            uniform float uLightHeight;
+            uniform float uNormalStrength;
+            uniform sampler2D uRoughnessMap;
+            uniform bool uHasRoughnessMap;
+            uniform float uSmoothSharpness;
+            uniform float uRoughSharpness;
+            uniform float uRoughnessCurve;
+
+            uniform int uLightCount;
+            uniform vec3 uLightPositions[${MAX_SHINE_LIGHTS}];
+            uniform vec3 uLightColors[${MAX_SHINE_LIGHTS}];
+
+            const vec3 lum_weights = vec3(0.299, 0.587, 0.114);
+
+            void main(void) {
+                vec4 specularColor = texture2D(uSpecularMap, vTextureCoord);
+                if (specularColor.a < 0.1 || dot(specularColor.rgb, lum_weights) < 0.01) {
+                    gl_FragColor = vec4(0.0);
+                    return;
+                }
+
+                vec3 normal = vec3(0.0, 0.0, 1.0);
+                if (uHasNormalMap) {
+                    vec3 n = texture2D(uNormalMap, vTextureCoord).rgb * 2.0 - 1.0;
+                    // Normal maps point green up; the scene's y axis points down.
+                    n.y = uFlipGreen ? n.y : -n.y;
+                    float c = cos(uRotation);
+                    float s = sin(uRotation);
+                    n.xy = vec2(n.x * c - n.y * s, n.x * s + n.y * c) * uNormalStrength;
+                    normal = normalize(n);
+                }
+
+                // Roughness scales the shininess the same way it scales the pattern's sharpness.
+                float shininess = uShininess;
+                float gain = 1.0;
+                if (uHasRoughnessMap) {
+                    float roughness = pow(texture2D(uRoughnessMap, vTextureCoord).r, uRoughnessCurve);
+                    float scale = mix(uSmoothSharpness, uRoughSharpness, roughness) / max(uSmoothSharpness, 0.001);
+                    shininess = max(1.0, uShininess * scale);
+                    gain = sqrt(scale);
+                }
+
+                vec3 light = vec3(0.0);
+                for (int i = 0; i < ${MAX_SHINE_LIGHTS}; i++) {
+                    if (i >= uLightCount) break;
+                    vec3 source = uLightPositions[i];
+                    vec2 delta = source.xy - vScenePosition;
+                    float dist = length(delta);
+                    if (dist >= source.z) continue;
+
+                    vec3 lightDir = normalize(vec3(delta, source.z * uLightHeight));
+                    vec3 halfDir = normalize(lightDir + vec3(0.0, 0.0, 1.0));
+                    float highlight = pow(max(dot(normal, halfDir), 0.0), shininess) * gain;
+                    float attenuation = 1.0 - dist / source.z;
+                    light += uLightColors[i] * highlight * attenuation * attenuation;
+                }
+
+                vec3 finalColor = specularColor.rgb * light * uIntensity;
+                gl_FragColor = vec4(finalColor, max(finalColor.r, max(finalColor.g, finalColor.b)));
+            }
+        `;
+
+        super(PIXI.Program.from(vertexSrc, fragmentSrc), {
+            uSpecularMap: PIXI.Texture.EMPTY,
+            uNormalMap: PIXI.Texture.EMPTY,
+            uHasNormalMap: false,
+            uFlipGreen: false,
+            uRotation: 0.0,
+            uIntensity: 1.0,
+            uShininess: 24.0,
+            uLightHeight: 0.25,
+            uNormalStrength: 1.0,
+            uRoughnessMap: PIXI.Texture.EMPTY,
+            uHasRoughnessMap: false,
+            uSmoothSharpness: 4.0,
+            uRoughSharpness: 0.5,
+            uRoughnessCurve: 1.0,
+            uLightCount: 0,
+            uLightPositions: new Float32Array(MAX_SHINE_LIGHTS * 3),
+            uLightColors: new Float32Array(MAX_SHINE_LIGHTS * 3),
+            ...uniforms
+        });
+    }
+}
+
+/**
+ * Advances a phosphorescence charge texture by one step. The texture is in the target's map space;
+ * `uChargeToScreen` finds where each texel is on screen so it can read the live lighting mask.
+ * Texels that are off screen get no light and simply decay.
+ */
+class PhosphorChargeShader extends PIXI.Shader {
+    constructor() {
+        const vertexSrc = `
+            attribute vec2 aVertexPosition;
+            attribute vec2 aTextureCoord;
+
+            uniform mat3 projectionMatrix;
+            uniform mat3 translationMatrix;
+
+            varying vec2 vTextureCoord;
+
+            void main(void) {
+                gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+                vTextureCoord = aTextureCoord;
+            }
+        `;
+
+        const fragmentSrc = `
+            precision highp float;
+
+            varying vec2 vTextureCoord;
+
+            uniform sampler2D uPrevCharge;
+            uniform sampler2D uLightMask;
+            uniform bool uMaskInverted;
+            uniform mat3 uChargeToScreen;
+            uniform float uChargeStep;
+            uniform float uDecay;
+
+            void main(void) {
+                vec2 screenCoord = (uChargeToScreen * vec3(vTextureCoord, 1.0)).xy;
+                float onScreen = step(0.0, screenCoord.x) * step(screenCoord.x, 1.0) * step(0.0, screenCoord.y) * step(screenCoord.y, 1.0);
+                // The lighting mask is the glow mask, which is dark where it is lit unless inverted.
+                float mask = texture2D(uLightMask, clamp(screenCoord, 0.0, 1.0)).r;
+                float lit = (uMaskInverted ? mask : 1.0 - mask) * onScreen;
+
+                float charge = texture2D(uPrevCharge, vTextureCoord).r * uDecay;
+                charge = min(1.0, charge + lit * uChargeStep);
+                gl_FragColor = vec4(charge, charge, charge, 1.0);
+            }
+        `;
+
+        super(PIXI.Program.from(vertexSrc, fragmentSrc), {
+            uPrevCharge: PIXI.Texture.EMPTY,
+            uLightMask: PIXI.Texture.EMPTY,
+            uMaskInverted: false,
+            uChargeToScreen: new PIXI.Matrix(),
+            uChargeStep: 0.0,
+            uDecay: 1.0
+        });
+    }
+}
+
+/** Multiplies a glow sprite by its phosphorescence charge, looked up through `spriteMaps`. */
+class PhosphorescenceFilter extends SpriteMapFilter {
+    constructor(options = {}) {
+        const fragmentSrc = `
+            precision mediump float;
+
+            varying vec2 vTextureCoord;
+
+            uniform sampler2D uSampler;
+            uniform sampler2D uSpriteMap;
+            uniform bool uHasSpriteMap;
+            uniform mat3 uSpriteMapMatrix;
+
+            void main(void) {
+                vec4 color = texture2D(uSampler, vTextureCoord);
+                float charge = 0.0;
+                if (uHasSpriteMap) {
+                    charge = texture2D(uSpriteMap, (uSpriteMapMatrix * vec3(vTextureCoord, 1.0)).xy).r;
+                }
+                gl_FragColor = color * charge;
+            }
+        `;
+        super(PIXI.Filter.defaultVertexSrc, fragmentSrc, {}, options.spriteMaps);
+    }
+}
+
+/**
+ * Measures how much of a reveal zone is lit. Rendered over the zone in its own space: red is lit
+ * weight, green total weight and blue the weight that is on screen, so the sums give coverage.
+ */
+class RevealCoverageShader extends PIXI.Shader {
+    constructor() {
+        const vertexSrc = `
+            attribute vec2 aVertexPosition;
+            attribute vec2 aTextureCoord;
+
+            uniform mat3 projectionMatrix;
+            uniform mat3 translationMatrix;
+
+            varying vec2 vTextureCoord;
+
+            void main(void) {
+                gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+                vTextureCoord = aTextureCoord;
+            }
+        `;
+
+        const fragmentSrc = `
+            precision highp float;
+
+            varying vec2 vTextureCoord;
+
+            uniform sampler2D uLighting;
+            uniform sampler2D uWeight;
+            uniform mat3 uZoneToScreen;
+            uniform float uLuminanceThreshold;
+            uniform float uSoftness;
+
+            const vec3 lum_weights = vec3(0.299, 0.587, 0.114);
+
+            void main(void) {
+                vec2 screenCoord = (uZoneToScreen * vec3(vTextureCoord, 1.0)).xy;
+                float onScreen = step(0.0, screenCoord.x) * step(screenCoord.x, 1.0) * step(0.0, screenCoord.y) * step(screenCoord.y, 1.0);
+
+                vec4 weightColor = texture2D(uWeight, vTextureCoord);
+                float weight = max(weightColor.r, max(weightColor.g, weightColor.b));
+
+                float lightLevel = dot(texture2D(uLighting, clamp(screenCoord, 0.0, 1.0)).rgb, lum_weights);
+                float lit = smoothstep(uLuminanceThreshold, uLuminanceThreshold + uSoftness, lightLevel);
+                gl_FragColor = vec4(lit * weight * onScreen, weight, weight * onScreen, 1.0);
+            }
+        `;
+
+        super(PIXI.Program.from(vertexSrc, fragmentSrc), {
+            uLighting: PIXI.Texture.EMPTY,
+            uWeight: PIXI.Texture.WHITE,
+            uZoneToScreen: new PIXI.Matrix(),
+            uLuminanceThreshold: 0.25,
+            uSoftness: 0.1
+        });
+    }
+}
+
+class LightingMaskFilter extends PIXI.Filter {
+    constructor(options = {}) {
+        const fragmentSrc = `
+            precision mediump float;
+            varying vec2 vTextureCoord;
+
+            uniform sampler2D uSampler; 
+            uniform float uLuminanceThreshold;
+            uniform float uSoftness;
+            uniform bool uInvert;
+
+            const vec3 lum_weights = vec3(0.299, 0.587, 0.114);
+
+            void main(void) {
+                vec4 lightingColor = texture2D(uSampler, vTextureCoord);
+                float lightLevel = dot(lightingColor.rgb, lum_weights);
+
+                float maskAlpha = smoothstep(uLuminanceThreshold, uLuminanceThreshold + uSoftness, lightLevel);
+
+                float finalAlpha = uInvert ? maskAlpha : 1.0 - maskAlpha;
+
+                gl_FragColor = vec4(vec3(finalAlpha), 1.0);
+            }
+        `;
+        super(PIXI.Filter.defaultVertexSrc, fragmentSrc, {
             uLuminanceThreshold: options.luminanceThreshold ?? 0.25,
             uSoftness: options.softness ?? 0.1,
             uInvert: options.invert ?? false,
@@ -1723,111 +2859,622 @@ class LightingMaskFilter extends PIXI.Filter {
     }
 }
 
-class StarburstFilter extends PIXI.Filter {
-    constructor(options = {}) {
+class VisibilityMaskFilter extends PIXI.Filter {
+    constructor() {
         const fragmentSrc = `
             precision mediump float;
             varying vec2 vTextureCoord;
+
             uniform sampler2D uSampler;
+            uniform sampler2D uVisionTexture;
+            uniform sampler2D uExploredTexture;
+            uniform float uExploredBrightness;
+            uniform vec2 uScreenSize;
+            uniform vec4 inputSize;
+            uniform vec4 outputFrame;
 
-            uniform float u_threshold;
-            uniform float u_intensity;
-            uniform float u_angle_rad;
-            uniform int u_points;
-            uniform float u_size;
-            uniform float u_falloff;
-            uniform vec2 u_texel_size;
+            void main(void) {
+                vec4 color = texture2D(uSampler, vTextureCoord);
+                vec2 screenCoord = (vTextureCoord * inputSize.xy + outputFrame.xy) / uScreenSize;
+                float visible = texture2D(uVisionTexture, screenCoord).r;
+                float explored = texture2D(uExploredTexture, screenCoord).r * uExploredBrightness;
+                gl_FragColor = color * max(visible, explored);
+            }
+        `;
+        super(PIXI.Filter.defaultVertexSrc, fragmentSrc, {
+            uVisionTexture: PIXI.Texture.WHITE,
+            uExploredTexture: PIXI.Texture.EMPTY,
+            uExploredBrightness: 0.0,
+            uScreenSize: [1, 1]
+        });
+        this.enabled = false;
+    }
+}
 
-            const float PI = 3.14159265359;
-            const int MAX_SAMPLES_PER_RAY = 256; 
+/**
+ * Reads a render texture back without stalling the GPU: the copy goes into a pixel buffer and is
+ * collected by `poll()` on a later frame once its fence has signalled. One read is in flight at a
+ * time. Contexts without fences fall back to a synchronous read, which `poll()` hands over next.
+ */
+class AsyncPixelReader {
+    constructor() {
+        this._buffer = null;
+        this._byteLength = 0;
+        this._pending = null;
+    }
+
+    get busy() {
+        return !!this._pending;
+    }
+
+    read(renderTexture, context = null) {
+        if (this._pending) return false;
+        const renderer = canvas.app.renderer;
+        const gl = renderer.gl;
+        const width = renderTexture.width;
+        const height = renderTexture.height;
+        if (!gl.fenceSync) {
+            this._pending = { pixels: renderer.extract.pixels(renderTexture), width, height, context };
+            return true;
+        }
+
+        const byteLength = width * height * 4;
+        if (!this._buffer || this._byteLength < byteLength) {
+            if (this._buffer) gl.deleteBuffer(this._buffer);
+            this._buffer = gl.createBuffer();
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._buffer);
+            gl.bufferData(gl.PIXEL_PACK_BUFFER, byteLength, gl.STREAM_READ);
+            this._byteLength = byteLength;
+        }
+        renderer.renderTexture.bind(renderTexture);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._buffer);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, 0);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        this._pending = { sync: gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0), width, height, context };
+        gl.flush();
+        return true;
+    }
+
+    /** Returns `{ pixels, width, height, context }` once the last read has arrived, else null. */
+    poll() {
+        const pending = this._pending;
+        if (!pending) return null;
+        if (!pending.pixels) {
+            const gl = canvas.app.renderer.gl;
+            if (gl.clientWaitSync(pending.sync, 0, 0) === gl.TIMEOUT_EXPIRED) return null;
+            gl.deleteSync(pending.sync);
+            pending.pixels = new Uint8Array(pending.width * pending.height * 4);
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this._buffer);
+            gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, pending.pixels);
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        }
+        this._pending = null;
+        return { pixels: pending.pixels, width: pending.width, height: pending.height, context: pending.context };
+    }
+
+    destroy() {
+        const gl = canvas.app?.renderer?.gl;
+        if (this._pending?.sync) gl?.deleteSync(this._pending.sync);
+        if (this._buffer) gl?.deleteBuffer(this._buffer);
+        this._pending = this._buffer = null;
+    }
+}
+
+/**
+ * Finds the brightest point of each cell in a fixed grid over the starburst source. The source is
+ * drawn at GRID * TILE texels; the top half of the output holds each cell's peak position and
+ * luminance, the bottom half its colour. Peaks below the threshold, or beaten by a neighbour in
+ * the next cell, come out transparent.
+ */
+class HighlightPeakShader extends PIXI.Shader {
+    static GRID_X = 16;
+    static GRID_Y = 8;
+    static TILE = 16;
+
+    constructor() {
+        const { GRID_X, GRID_Y, TILE } = HighlightPeakShader;
+        const vertexSrc = `
+            attribute vec2 aVertexPosition;
+            attribute vec2 aTextureCoord;
+
+            uniform mat3 projectionMatrix;
+            uniform mat3 translationMatrix;
+
+            varying vec2 vTextureCoord;
 
-            const int MAX_POINTS = 16;
+            void main(void) {
+                gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+                vTextureCoord = aTextureCoord;
+            }
+        `;
 
+        const fragmentSrc = `
+            precision highp float;
+
+            varying vec2 vTextureCoord;
+
+            uniform sampler2D uSource;
+            uniform float uThreshold;
+
+            const int TILE = ${TILE};
+            const vec2 GRID = vec2(${GRID_X}.0, ${GRID_Y}.0);
+            const vec2 SOURCE_SIZE = GRID * float(TILE);
             const vec3 lum_weights = vec3(0.299, 0.587, 0.114);
 
+            float luminanceAt(vec2 texel) {
+                return dot(texture2D(uSource, (texel + 0.5) / SOURCE_SIZE).rgb, lum_weights);
+            }
+
             void main(void) {
-                vec4 originalColor = texture2D(uSampler, vTextureCoord);
-                float brightness = dot(originalColor.rgb, lum_weights);
+                vec2 cellCoord = floor(vTextureCoord * vec2(GRID.x, GRID.y * 2.0));
+                bool colorRow = cellCoord.y >= GRID.y;
+                vec2 origin = vec2(cellCoord.x, mod(cellCoord.y, GRID.y)) * float(TILE);
+
+                float best = -1.0;
+                vec2 bestTexel = origin;
+                for (int y = 0; y < TILE; y++) {
+                    for (int x = 0; x < TILE; x++) {
+                        vec2 texel = origin + vec2(float(x), float(y));
+                        float value = luminanceAt(texel);
+                        if (value > best) {
+                            best = value;
+                            bestTexel = texel;
+                        }
+                    }
+                }
+
+                bool peak = best >= uThreshold;
+                for (int dy = -1; dy <= 1; dy++) {
+                    for (int dx = -1; dx <= 1; dx++) {
+                        vec2 texel = bestTexel + vec2(float(dx), float(dy));
+                        if ((dx == 0 && dy == 0) || any(lessThan(texel, vec2(0.0))) || any(greaterThanEqual(texel, SOURCE_SIZE))) continue;
+                        bool otherCell = any(lessThan(texel, origin)) || any(greaterThanEqual(texel, origin + float(TILE)));
+                        // A plateau across a cell border goes to the cell that comes first in scan order.
+                        bool before = dy < 0 || (dy == 0 && dx < 0);
+                        float value = luminanceAt(texel);
+                        if (value > best || (otherCell && before && value == best)) peak = false;
+                    }
+                }
+                if (!peak) {
+                    gl_FragColor = vec4(0.0);
+                    return;
+                }
+
+                if (colorRow) {
+                    vec3 color = texture2D(uSource, (bestTexel + 0.5) / SOURCE_SIZE).rgb;
+                    gl_FragColor = vec4(color / max(max(color.r, color.g), max(color.b, 0.0001)), 1.0);
+                } else {
+                    gl_FragColor = vec4((bestTexel - origin) / float(TILE - 1), best, 1.0);
+                }
+            }
+        `;
+
+        super(PIXI.Program.from(vertexSrc, fragmentSrc), {
+            uSource: PIXI.Texture.EMPTY,
+            uThreshold: 0.5
+        });
+    }
+}
+
+/**
+ * Draws starbursts on the brightest points of a source container. The source is drawn into a
+ * small fixed-size texture and HighlightPeakShader reduces it on the GPU to one candidate per grid
+ * cell. Only that grid is read back, through an AsyncPixelReader, and each peak gets a
+ * pooled ray sprite, so the CPU work follows the number of highlights, not screen size.
+ * Highlights trail the view by the few frames the readback takes.
+ */
+class StarburstRenderer {
+    static SAMPLE_INTERVAL = 3;
+    static MAX_HIGHLIGHTS = 64;
+    static RAY_TEXTURE_SIZE = 256;
+
+    constructor(source, output) {
+        this.source = source;
+        this.output = output;
+        this.config = null;
+        this.sourceTexture = null;
+        this.peakTexture = null;
+        this.peakMesh = null;
+        this.rayTexture = null;
+        this._rayTextureKey = null;
+        this.sprites = [];
+        this._frame = 0;
+        this.reader = new AsyncPixelReader();
+    }
+
+    updateFromConfig(config) {
+        this.config = config;
+        this.output.visible = config.enabled;
+        const key = `${Math.round(config.points)}|${config.falloff}`;
+        if (key !== this._rayTextureKey) {
+            this.rayTexture?.destroy(true);
+            this.rayTexture = this._createRayTexture(Math.round(config.points), config.falloff);
+            this._rayTextureKey = key;
+            this.sprites.forEach(sprite => sprite.texture = this.rayTexture);
+        }
+        if (!config.enabled) this.sprites.forEach(sprite => sprite.visible = false);
+    }
+
+    // One white ray per point, fading as (1 - d / length) ^ falloff like the old ray march.
+    _createRayTexture(points, falloff) {
+        const size = StarburstRenderer.RAY_TEXTURE_SIZE;
+        const radius = size / 2;
+        const canvasEl = document.createElement('canvas');
+        canvasEl.width = canvasEl.height = size;
+        const ctx = canvasEl.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, radius, 0);
+        for (let i = 0; i <= 16; i++) {
+            gradient.addColorStop(i / 16, `rgba(255, 255, 255, ${Math.pow(1 - i / 16, falloff)})`);
+        }
+        ctx.translate(radius, radius);
+        ctx.fillStyle = gradient;
+        for (let i = 0; i < points; i++) {
+            ctx.fillRect(0, -1.5, radius, 3);
+            ctx.rotate((2 * Math.PI) / points);
+        }
+        return PIXI.Texture.from(canvasEl);
+    }
+
+    update() {
+        if (!this.config?.enabled || !this.rayTexture) return;
+
+        const result = this.reader.poll();
+        if (result) this._placeSprites(this._parseHighlights(result.pixels, result.context));
+
+        if (this.reader.busy || this._frame++ % StarburstRenderer.SAMPLE_INTERVAL !== 0) return;
+        this._requestHighlights();
+    }
+
+    _placeSprites(highlights) {
+        const { intensity, size, angle, blendMode } = this.config;
+        const scale = canvas.stage.scale.x;
+
+        highlights.forEach((highlight, i) => {
+            let sprite = this.sprites[i];
+            if (!sprite) {
+                sprite = new PIXI.Sprite(this.rayTexture);
+                sprite.anchor.set(0.5);
+                this.sprites.push(sprite);
+                this.output.addChild(sprite);
+            }
+            sprite.position.set(highlight.x, highlight.y);
+            sprite.width = sprite.height = (size * 2) / scale;
+            sprite.rotation = angle * (Math.PI / 180);
+            sprite.tint = highlight.tint;
+            sprite.alpha = Math.min(1, highlight.brightness * intensity);
+            sprite.blendMode = blendMode;
+            sprite.visible = true;
+        });
+        for (let i = highlights.length; i < this.sprites.length; i++) {
+            this.sprites[i].visible = false;
+        }
+    }
+
+    /** Renders the peak grid and starts reading it back without waiting for the GPU. */
+    _requestHighlights() {
+        const renderer = canvas.app.renderer;
+        const { GRID_X, GRID_Y, TILE } = HighlightPeakShader;
+        const sourceWidth = GRID_X * TILE;
+        const sourceHeight = GRID_Y * TILE;
+        if (!this.sourceTexture) {
+            this.sourceTexture = PIXI.RenderTexture.create({ width: sourceWidth, height: sourceHeight, scaleMode: PIXI.SCALE_MODES.NEAREST });
+            this.peakTexture = PIXI.RenderTexture.create({ width: GRID_X, height: GRID_Y * 2, scaleMode: PIXI.SCALE_MODES.NEAREST });
+            const geometry = new PIXI.Geometry()
+                .addAttribute('aVertexPosition', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+                .addAttribute('aTextureCoord', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+                .addIndex([0, 1, 2, 0, 2, 3]);
+            this.peakMesh = new PIXI.Mesh(geometry, new HighlightPeakShader());
+            this.peakMesh.scale.set(GRID_X, GRID_Y * 2);
+        }
+
+        const screen = renderer.screen;
+        const worldTransform = canvas.stage.worldTransform.clone();
+        const transform = worldTransform.clone().scale(sourceWidth / screen.width, sourceHeight / screen.height);
+        this.source.renderable = true;
+        renderer.render(this.source, { renderTexture: this.sourceTexture, transform, clear: true });
+        this.source.renderable = false;
+
+        const u = this.peakMesh.shader.uniforms;
+        u.uSource = this.sourceTexture;
+        u.uThreshold = this.config.threshold;
+        renderer.render(this.peakMesh, { renderTexture: this.peakTexture, clear: true });
+
+        // Peaks are kept in world space so they stay put if the view moves before the data arrives.
+        this.reader.read(this.peakTexture, { screenToWorld: worldTransform.invert(), screenWidth: screen.width, screenHeight: screen.height });
+    }
+
+    _parseHighlights(pixels, { screenToWorld, screenWidth, screenHeight }) {
+        const { GRID_X, GRID_Y, TILE } = HighlightPeakShader;
+        const sourceWidth = GRID_X * TILE;
+        const sourceHeight = GRID_Y * TILE;
+        const highlights = [];
+        for (let cy = 0; cy < GRID_Y; cy++) {
+            for (let cx = 0; cx < GRID_X; cx++) {
+                const peak = (cy * GRID_X + cx) * 4;
+                if (!pixels[peak + 3]) continue;
+                const color = ((cy + GRID_Y) * GRID_X + cx) * 4;
+                const texelX = cx * TILE + Math.round(pixels[peak] / 255 * (TILE - 1)) + 0.5;
+                const texelY = cy * TILE + Math.round(pixels[peak + 1] / 255 * (TILE - 1)) + 0.5;
+                const position = screenToWorld.apply({ x: texelX / sourceWidth * screenWidth, y: texelY / sourceHeight * screenHeight });
+                highlights.push({
+                    x: position.x,
+                    y: position.y,
+                    brightness: pixels[peak + 2] / 255,
+                    tint: (pixels[color] << 16) | (pixels[color + 1] << 8) | pixels[color + 2]
+                });
+            }
+        }
+        return highlights.sort((a, b) => b.brightness - a.brightness).slice(0, StarburstRenderer.MAX_HIGHLIGHTS);
+    }
+
+    destroy() {
+        this.reader.destroy();
+        this.sprites.forEach(sprite => sprite.destroy());
+        this.sprites = [];
+        this.sourceTexture?.destroy(true);
+        this.peakTexture?.destroy(true);
+        this.peakMesh?.destroy(true);
+        this.rayTexture?.destroy(true);
+        this.sourceTexture = this.peakTexture = this.peakMesh = this.rayTexture = null;
+    }
+}
+
+/**
+ * Bloom built on a mip chain: bright areas are extracted at `resolutionScale`, halved `levels`
+ * times with the dual-filter (Kawase) downsample, softened with the bundled KawaseBlurFilter at
+ * the smallest level, then upsampled back additively. Cost is dominated by the first level, so
+ * it stays cheap on large screens. With `brightness` 0 only the bloom is output.
+ */
+class MultiResBloomFilter extends PIXI.Filter {
+    static MAX_LEVELS = 8;
+
+    constructor(options = {}) {
+        const compositeSrc = `
+            precision mediump float;
+            varying vec2 vTextureCoord;
+            uniform sampler2D uSampler;
+            uniform sampler2D uBloomTexture;
+            uniform float uBrightness;
+            uniform float uBloomScale;
+
+            void main(void) {
+                vec4 color = texture2D(uSampler, vTextureCoord) * uBrightness;
+                gl_FragColor = color + texture2D(uBloomTexture, vTextureCoord) * uBloomScale;
+            }
+        `;
+        const extractSrc = `
+            precision mediump float;
+            varying vec2 vTextureCoord;
+            uniform sampler2D uSampler;
+            uniform float uThreshold;
+
+            void main(void) {
+                vec4 color = texture2D(uSampler, vTextureCoord);
+                float peak = max(color.r, max(color.g, color.b));
+                gl_FragColor = color * (max(peak - uThreshold, 0.0) / max(peak, 0.0001));
+            }
+        `;
+        const downsampleSrc = `
+            precision mediump float;
+            varying vec2 vTextureCoord;
+            uniform sampler2D uSampler;
+            uniform vec2 uHalfTexel;
+
+            void main(void) {
+                vec4 sum = texture2D(uSampler, vTextureCoord) * 4.0;
+                sum += texture2D(uSampler, vTextureCoord - uHalfTexel);
+                sum += texture2D(uSampler, vTextureCoord + uHalfTexel);
+                sum += texture2D(uSampler, vTextureCoord + vec2(uHalfTexel.x, -uHalfTexel.y));
+                sum += texture2D(uSampler, vTextureCoord - vec2(uHalfTexel.x, -uHalfTexel.y));
+                gl_FragColor = sum / 8.0;
+            }
+        `;
+        const upsampleSrc = `
+            precision mediump float;
+            varying vec2 vTextureCoord;
+            uniform sampler2D uSampler;
+            uniform vec2 uHalfTexel;
+
+            void main(void) {
+                vec2 h = uHalfTexel;
+                vec4 sum = texture2D(uSampler, vTextureCoord + vec2(-h.x * 2.0, 0.0));
+                sum += texture2D(uSampler, vTextureCoord + vec2(-h.x, h.y)) * 2.0;
+                sum += texture2D(uSampler, vTextureCoord + vec2(0.0, h.y * 2.0));
+                sum += texture2D(uSampler, vTextureCoord + vec2(h.x, h.y)) * 2.0;
+                sum += texture2D(uSampler, vTextureCoord + vec2(h.x * 2.0, 0.0));
+                sum += texture2D(uSampler, vTextureCoord + vec2(h.x, -h.y)) * 2.0;
+                sum += texture2D(uSampler, vTextureCoord + vec2(0.0, -h.y * 2.0));
+                sum += texture2D(uSampler, vTextureCoord + vec2(-h.x, -h.y)) * 2.0;
+                gl_FragColor = sum / 12.0;
+            }
+        `;
+
+        super(PIXI.Filter.defaultVertexSrc, compositeSrc, {
+            uBloomTexture: PIXI.Texture.EMPTY,
+            uBrightness: 1.0,
+            uBloomScale: 1.0
+        });
+
+        this._extractFilter = new PIXI.Filter(PIXI.Filter.defaultVertexSrc, extractSrc, { uThreshold: 0.5 });
+        this._downsampleFilter = new PIXI.Filter(PIXI.Filter.defaultVertexSrc, downsampleSrc, { uHalfTexel: [0, 0] });
+        this._upsampleFilter = new PIXI.Filter(PIXI.Filter.defaultVertexSrc, upsampleSrc, { uHalfTexel: [0, 0] });
+        this._upsampleFilter.blendMode = PIXI.BLEND_MODES.ADD;
+
+        const KawaseBlurFilterConstructor = PIXI.filters?.KawaseBlurFilter || PIXI.filters?.filters?.KawaseBlurFilter;
+        this._kawaseFilter = KawaseBlurFilterConstructor ? new KawaseBlurFilterConstructor(0, 3) : null;
+
+        this.levels = 4;
+        this.resolutionScale = 0.5;
+        this.blur = 0;
+        Object.assign(this, options);
+    }
+
+    get threshold() { return this._extractFilter.uniforms.uThreshold; }
+    set threshold(value) { this._extractFilter.uniforms.uThreshold = value; }
 
-                if (brightness < u_threshold) {
-                    gl_FragColor = vec4(0.0);
-                    return;
-                }
+    get brightness() { return this.uniforms.uBrightness; }
+    set brightness(value) { this.uniforms.uBrightness = value; }
 
-                vec3 starColor = vec3(0.0);
-                float angle_step = 2.0 * PI / float(u_points);
+    get bloomScale() { return this.uniforms.uBloomScale; }
+    set bloomScale(value) { this.uniforms.uBloomScale = value; }
 
-                for (int i = 0; i < MAX_POINTS; i++) {
+    // Halving the resolution each level keeps every texture the same size in CSS pixels,
+    // so vTextureCoord lines up across the whole chain.
+    apply(filterManager, input, output, clearMode) {
+        const levels = Math.max(1, Math.min(MultiResBloomFilter.MAX_LEVELS, Math.round(this.levels)));
+        const baseResolution = input.baseTexture.resolution * this.resolutionScale;
+        const offset = 1 + this.blur * 0.1;
+        const halfTexel = (texture) => [
+            0.5 * offset / texture.baseTexture.realWidth,
+            0.5 * offset / texture.baseTexture.realHeight
+        ];
 
-                    if (i < u_points) {
-                        float current_angle = u_angle_rad + float(i) * angle_step;
-                        vec2 direction = vec2(cos(current_angle), sin(current_angle));
+        const chain = [filterManager.getFilterTexture(input, baseResolution)];
+        this._extractFilter.apply(filterManager, input, chain[0], PIXI.CLEAR_MODES.CLEAR);
 
-                        for (int j = 1; j < MAX_SAMPLES_PER_RAY; j++) {
-                            if (float(j) <= u_size) {
-                                float distance = float(j);
-                                vec2 sampleCoord = vTextureCoord + direction * distance * u_texel_size;
+        for (let i = 1; i <= levels; i++) {
+            const target = filterManager.getFilterTexture(input, baseResolution / Math.pow(2, i));
+            this._downsampleFilter.uniforms.uHalfTexel = halfTexel(chain[i - 1]);
+            this._downsampleFilter.apply(filterManager, chain[i - 1], target, PIXI.CLEAR_MODES.CLEAR);
+            chain.push(target);
+        }
 
-                                vec3 sample_color = texture2D(uSampler, sampleCoord).rgb;
-                                float sample_brightness = dot(sample_color, lum_weights);
-                                float dist_falloff = pow(1.0 - (distance / u_size), u_falloff);
+        if (this._kawaseFilter && this.blur > 0) {
+            const smallest = chain[levels];
+            const blurred = filterManager.getFilterTexture(smallest, smallest.baseTexture.resolution);
+            this._kawaseFilter.blur = this.blur;
+            this._kawaseFilter.apply(filterManager, smallest, blurred, PIXI.CLEAR_MODES.CLEAR);
+            chain[levels] = blurred;
+            filterManager.returnFilterTexture(smallest);
+        }
 
-                                starColor += sample_color * sample_brightness * dist_falloff;
-                            }
-                        }
-                    }
-                }
+        for (let i = levels - 1; i >= 0; i--) {
+            this._upsampleFilter.uniforms.uHalfTexel = halfTexel(chain[i + 1]);
+            this._upsampleFilter.apply(filterManager, chain[i + 1], chain[i], PIXI.CLEAR_MODES.BLEND);
+            filterManager.returnFilterTexture(chain[i + 1]);
+        }
 
-                float star_brightness = dot(starColor * u_intensity, lum_weights);
-                gl_FragColor = vec4(starColor * u_intensity, clamp(star_brightness, 0.0, 1.0));
-            }
-        `;
+        this.uniforms.uBloomTexture = chain[0];
+        filterManager.applyFilter(this, input, output, clearMode);
+        filterManager.returnFilterTexture(chain[0]);
+    }
 
-        super(PIXI.Filter.defaultVertexSrc, fragmentSrc, {
-            u_threshold: options.threshold ?? 0.85,
-            u_intensity: options.intensity ?? 0.5,
-            u_angle_rad: (options.angle ?? 0.0) * (Math.PI / 180.0),
-            u_points: options.points ?? 5,
-            u_size: options.size ?? 80.0,
-            u_falloff: options.falloff ?? 4.0,
-            u_texel_size: [1.0 / (window.innerWidth * window.devicePixelRatio), 1.0 / (window.innerHeight * window.devicePixelRatio)]
-        });
+    destroy() {
+        this._extractFilter.destroy();
+        this._downsampleFilter.destroy();
+        this._upsampleFilter.destroy();
+        this._kawaseFilter?.destroy();
+        super.destroy();
     }
 }
 
+/**
+ * Heat haze computed in world space, so it stays on the map while the view pans. Noise is advected
+ * along the rise direction and the haze trails off past the _Heat mask edge as a plume.
+ */
 class HeatDistortionFilter extends PIXI.Filter {
+    static PLUME_STEPS = 8;
+
     constructor(options = {}) {
         const fragmentSrc = `
-            precision mediump float;
-            varying vec2 vTextureCoord; 
+            precision highp float;
+            varying vec2 vTextureCoord;
 
-            uniform sampler2D uSampler;          
-            uniform sampler2D u_displacementMap; 
-            uniform sampler2D u_intensityMask;   
+            uniform sampler2D uSampler;
+            uniform sampler2D u_intensityMask;
+            uniform vec4 inputSize;
+            uniform vec4 outputFrame;
+            uniform vec4 inputClamp;
+            uniform vec2 uScreenSize;
+            uniform mat3 uScreenToWorld;
 
             uniform float u_intensity;
+            uniform float uZoom;
+            uniform vec2 uRiseDir;
+            uniform vec2 uRiseOffset;
+            uniform vec2 uPlumeOffset;
+            uniform float uDispersion;
 
-            void main(void) {
+            uniform float u_time, u_speed, u_scale, u_threshold, u_brightness, u_contrast, u_softness, u_evolution;
+
+            const int PLUME_STEPS = ${HeatDistortionFilter.PLUME_STEPS};
+
+            float random(vec3 st) {
+                return fract(sin(dot(st.xyz, vec3(12.9898, 78.233, 54.731))) * 43758.5453123);
+            }
+
+            float value_noise(vec3 st) {
+                vec3 i = floor(st);
+                vec3 f = fract(st);
+                vec3 u = f * f * (3.0 - 2.0 * f);
+                float bottom = mix(mix(random(i), random(i + vec3(1.0, 0.0, 0.0)), u.x),
+                                   mix(random(i + vec3(0.0, 1.0, 0.0)), random(i + vec3(1.0, 1.0, 0.0)), u.x), u.y);
+                float top = mix(mix(random(i + vec3(0.0, 0.0, 1.0)), random(i + vec3(1.0, 0.0, 1.0)), u.x),
+                                mix(random(i + vec3(0.0, 1.0, 1.0)), random(i + vec3(1.0, 1.0, 1.0)), u.x), u.y);
+                return mix(bottom, top, u.z);
+            }
 
-                float mask_value = texture2D(u_intensityMask, vTextureCoord).r;
+            // Heat at a point is the mask there, or the mask upstream fading with the distance risen.
+            float plume(vec2 screenCoord) {
+                float heat = texture2D(u_intensityMask, screenCoord).r;
+                for (int i = 1; i <= PLUME_STEPS; i++) {
+                    float t = float(i) / float(PLUME_STEPS);
+                    float falloff = (1.0 - t) * (1.0 - t);
+                    heat = max(heat, texture2D(u_intensityMask, screenCoord - uPlumeOffset * t).r * falloff);
+                }
+                return heat;
+            }
 
-                if (mask_value == 0.0) {
+            void main(void) {
+                vec2 screenPx = vTextureCoord * inputSize.xy + outputFrame.xy;
+                float heat = plume(screenPx / uScreenSize);
+                if (heat <= 0.001) {
                     gl_FragColor = texture2D(uSampler, vTextureCoord);
                     return;
                 }
 
-                vec2 displacement = (texture2D(u_displacementMap, vTextureCoord).rg - 0.5) * 2.0;
-
-                vec2 offset = displacement * u_intensity * mask_value;
-
-                gl_FragColor = texture2D(uSampler, vTextureCoord + offset);
+                vec2 world = (uScreenToWorld * vec3(screenPx, 1.0)).xy;
+                vec2 p = (world - uRiseOffset) / (30.0 / u_scale);
+                p.x += u_time * u_speed;
+                float z = u_time * u_evolution;
+
+                float sway = value_noise(vec3(p, z)) - 0.5;
+                float stretch = value_noise(vec3(p * 1.7 + 13.1, z + 7.3)) - 0.5;
+                float strength = (value_noise(vec3(p * 0.5 + 31.7, z * 0.5)) + u_brightness - 0.5) * u_contrast + 0.5;
+                strength = smoothstep(u_threshold, u_threshold + u_softness, strength);
+
+                // Rising air mostly sways across the flow, with a weaker stretch along it.
+                vec2 across = vec2(-uRiseDir.y, uRiseDir.x);
+                vec2 shimmer = across * sway * 2.0 + uRiseDir * stretch;
+                vec2 offset = shimmer * strength * heat * u_intensity * uZoom * uScreenSize / inputSize.xy;
+
+                vec4 color = texture2D(uSampler, clamp(vTextureCoord + offset, inputClamp.xy, inputClamp.zw));
+                if (uDispersion > 0.0) {
+                    color.r = texture2D(uSampler, clamp(vTextureCoord + offset * (1.0 + uDispersion), inputClamp.xy, inputClamp.zw)).r;
+                    color.b = texture2D(uSampler, clamp(vTextureCoord + offset * (1.0 - uDispersion), inputClamp.xy, inputClamp.zw)).b;
+                }
+                gl_FragColor = color;
             }
         `;
 
         super(PIXI.Filter.defaultVertexSrc, fragmentSrc, {
-            u_displacementMap: PIXI.Texture.EMPTY,
             u_intensityMask: PIXI.Texture.EMPTY,
             u_intensity: options.intensity ?? 0.01,
+            uScreenSize: [1, 1],
+            uScreenToWorld: new PIXI.Matrix(),
+            uZoom: 1.0,
+            uRiseDir: [0, -1],
+            uRiseOffset: [0, 0],
+            uPlumeOffset: [0, 0],
+            uDispersion: 0.0,
+            u_time: 0.0,
+            u_speed: 0.0,
+            u_scale: 1.0,
+            u_threshold: 0.0,
+            u_brightness: 0.0,
+            u_contrast: 1.0,
+            u_softness: 1.0,
+            u_evolution: 0.0
         });
     }
 }
@@ -2371,6 +4018,26 @@ class SystemStatusManager {
                 outdoors: {
                     state: 'inactive',
                     message: 'No path specified.'
+                },
+                normal: {
+                    state: 'inactive',
+                    message: 'No path specified.'
+                },
+                metalColor: {
+                    state: 'inactive',
+                    message: 'No path specified.'
+                },
+                roughness: {
+                    state: 'inactive',
+                    message: 'No path specified.'
+                },
+                thickness: {
+                    state: 'inactive',
+                    message: 'No path specified.'
+                },
+                ambientAnim: {
+                    state: 'inactive',
+                    message: 'No path specified.'
                 }
             },
             pipelines: {
@@ -2461,9 +4128,21 @@ class TextureAutoLoader {
         groundGlow: "_GroundGlow",
         heat: "_Heat",
         dust: "_Dust",
-        outdoors: "_Outdoors"
+        outdoors: "_Outdoors",
+        normal: "_Normal",
+        metalColor: "_MetalColor",
+        roughness: "_Roughness",
+        thickness: "_Thickness",
+        ambientAnim: "_AmbientAnim"
     };
 
+    // Alternative spellings also accepted during discovery.
+    static SUFFIX_ALIASES = {
+        metalColor: ["_Metal_Color"]
+    };
+
+    static _discoveryCache = new Map();
+
     async discoverAllTargets() {
         const results = {
             background: null,
@@ -2483,75 +4162,636 @@ class TextureAutoLoader {
         return results;
     }
 
-    async _processSceneBackground() {
-        const bgSrc = canvas.scene?.background.src;
-        if (!bgSrc) {
-            console.info("MapShine | No scene background texture found.");
-            return null;
-        }
-        const targetData = await this._findSuffixesForBaseTexture(bgSrc);
+    async _processSceneBackground() {
+        const bgSrc = canvas.scene?.background.src;
+        if (!bgSrc) {
+            console.info("MapShine | No scene background texture found.");
+            return null;
+        }
+        const targetData = this._applyManualMaps(
+            await this._findSuffixesForBaseTexture(bgSrc),
+            canvas.scene.getFlag(MODULE_ID, 'backgroundTextureMaps')
+        );
+
+        targetData.id = 'background';
+        targetData.baseTexturePath = bgSrc;
+        targetData.rect = canvas.scene.dimensions.sceneRect;
+        targetData.overrides = ConfigMigrator.migrate(canvas.scene.getFlag(MODULE_ID, 'backgroundConfig'), "Scene background materials", { targetOverrides: true });
+        return targetData;
+    }
+
+    async _processTile(tile) {
+        const tileSrc = tile.document.texture.src;
+        if (!tileSrc) return null;
+
+        const suffixData = this._applyManualMaps(
+            await this._findSuffixesForBaseTexture(tileSrc),
+            tile.document.getFlag(MODULE_ID, 'textureMaps')
+        );
+        const hasEffectMap = Object.values(suffixData).some(path => path && typeof path === 'string');
+
+        if (hasEffectMap) {
+
+            return {
+                id: tile.id,
+                tile,
+                overrides: ConfigMigrator.migrate(tile.document.getFlag(MODULE_ID, 'config'), `Tile ${tile.id} materials`, { targetOverrides: true }),
+                baseTexturePath: tileSrc,
+                rect: TextureAutoLoader.getTileRect(tile.document),
+                ...suffixData
+            };
+        }
+        return null;
+    }
+
+    _applyManualMaps(discoveredPaths, manualMaps) {
+        discoveredPaths.mapSources = {};
+        for (const key of Object.keys(TextureAutoLoader.SUFFIX_MAP)) {
+            if (manualMaps?.[key]) {
+                discoveredPaths[key] = manualMaps[key];
+                discoveredPaths.mapSources[key] = 'manual';
+            } else if (discoveredPaths[key]) {
+                discoveredPaths.mapSources[key] = 'discovered';
+            }
+        }
+        return discoveredPaths;
+    }
+
+    static getTileRect(tileDoc) {
+        return {
+            x: tileDoc.x,
+            y: tileDoc.y,
+            width: tileDoc.width,
+            height: tileDoc.height,
+            rotation: tileDoc.rotation * (Math.PI / 180),
+        };
+    }
+
+    static clearCache(baseTexturePath = null) {
+        if (baseTexturePath) {
+            TextureAutoLoader._discoveryCache.delete(baseTexturePath);
+        } else {
+            TextureAutoLoader._discoveryCache.clear();
+        }
+    }
+
+    async _findSuffixesForBaseTexture(baseTexturePath) {
+        const cache = TextureAutoLoader._discoveryCache;
+        if (!cache.has(baseTexturePath)) {
+            cache.set(baseTexturePath, this._browseForSuffixes(baseTexturePath));
+        }
+        const discoveredPaths = await cache.get(baseTexturePath);
+        if (!discoveredPaths) {
+            // Don't cache failed browses so the next refresh tries again.
+            cache.delete(baseTexturePath);
+            return this._emptySuffixPaths();
+        }
+        return { ...discoveredPaths };
+    }
+
+    _emptySuffixPaths() {
+        const paths = {};
+        Object.keys(TextureAutoLoader.SUFFIX_MAP).forEach(key => paths[key] = null);
+        return paths;
+    }
+
+    async _browseForSuffixes(baseTexturePath) {
+        const discoveredPaths = this._emptySuffixPaths();
+        const cleanPath = decodeURIComponent(baseTexturePath);
+        const lastSlash = cleanPath.lastIndexOf('/');
+        const directory = cleanPath.substring(0, lastSlash);
+        const filename = cleanPath.substring(lastSlash + 1);
+        const lastDot = filename.lastIndexOf('.');
+        const baseName = filename.substring(0, lastDot);
+        const extension = filename.substring(lastDot);
+
+        if (!baseName || !directory) return discoveredPaths;
+
+        let filesInDir = [];
+        try {
+            const source = game.settings.get("core", "noCanvas") ? "public" : "data";
+            filesInDir = (await foundry.applications.apps.FilePicker.implementation.browse(source, directory)).files;
+        } catch (e) {
+            console.warn(`MapShine | Could not browse directory "${directory}" for base texture "${baseName}".`, e);
+            return null;
+        }
+
+        for (const [key, suffix] of Object.entries(TextureAutoLoader.SUFFIX_MAP)) {
+            for (const candidate of [suffix, ...(TextureAutoLoader.SUFFIX_ALIASES[key] ?? [])]) {
+                const expectedFilename = `${baseName}${candidate}${extension}`;
+                const foundFile = filesInDir.find(fullPath => {
+                    const fNameOnly = decodeURIComponent(fullPath).substring(fullPath.lastIndexOf('/') + 1);
+                    return fNameOnly.toLowerCase() === expectedFilename.toLowerCase();
+                });
+                if (foundFile) {
+                    discoveredPaths[key] = foundFile;
+                    break;
+                }
+            }
+        }
+        return discoveredPaths;
+    }
+}
+
+class EffectTargetManager {
+    constructor() {
+        this.targets = {
+            background: null,
+            tiles: new Map()
+        };
+        this._persistDebouncers = new Map();
+    }
+
+    async refresh() {
+        console.log("MapShine | Refreshing effect targets...");
+        const loader = new TextureAutoLoader();
+        this.targets = await loader.discoverAllTargets();
+
+        this.applyTileOpacities();
+        this.updateTextureStatuses();
+
+        await this.broadcastUpdate();
+
+        Hooks.callAll('mapShine:targetsRefreshed');
+        await game.mapShine.emissiveLights.syncAll();
+    }
+
+    async broadcastUpdate() {
+        const updatePromises = [];
+        for (const layer of canvas.layers) {
+            if (typeof layer.updateEffectTargets === 'function') {
+
+                updatePromises.push(layer.updateEffectTargets(this.targets));
+            }
+        }
+
+        await Promise.all(updatePromises);
+    }
+
+    async refreshTile(id) {
+        const tile = canvas.tiles.get(id);
+        const targetData = tile ? await new TextureAutoLoader()._processTile(tile) : null;
+        if (!targetData && !this.targets.tiles.has(id)) return;
+
+        if (targetData) {
+            this.targets.tiles.set(id, targetData);
+        } else {
+            this.targets.tiles.delete(id);
+        }
+        await this._broadcastTargetUpdate(id, targetData);
+    }
+
+    async removeTile(id) {
+        if (!this.targets.tiles.delete(id)) return;
+        this._persistDebouncers.delete(id);
+        await this._broadcastTargetUpdate(id, null);
+    }
+
+    async updateTileRect(id) {
+        const target = this.targets.tiles.get(id);
+        const tileDoc = canvas.tiles.get(id)?.document;
+        if (!target || !tileDoc) return;
+
+        target.rect = TextureAutoLoader.getTileRect(tileDoc);
+        await this._broadcastTargetUpdate(id, target, { statusChanged: false });
+    }
+
+    async onTileUpdated(tileDoc, changes, userId) {
+        const flagChanges = changes.flags?.[MODULE_ID] ?? {};
+        if (foundry.utils.hasProperty(changes, 'texture.src') || 'textureMaps' in flagChanges || '-=textureMaps' in flagChanges) {
+            await this.refreshTile(tileDoc.id);
+            return;
+        }
+
+        if (['x', 'y', 'width', 'height', 'rotation'].some(key => key in changes)) {
+            await this.updateTileRect(tileDoc.id);
+        }
+
+        // Our own override edits are already applied locally and may be newer than this echo.
+        const target = this.targets.tiles.get(tileDoc.id);
+        if (target && userId !== game.user.id && ('config' in flagChanges || '-=config' in flagChanges)) {
+            target.overrides = ConfigMigrator.migrate(tileDoc.getFlag(MODULE_ID, 'config'), `Tile ${tileDoc.id} materials`, { targetOverrides: true });
+            await this._broadcastTargetUpdate(tileDoc.id, target, { statusChanged: false });
+        }
+    }
+
+    async onBackgroundConfigUpdated() {
+        const target = this.targets.background;
+        if (!target) return;
+        target.overrides = ConfigMigrator.migrate(canvas.scene.getFlag(MODULE_ID, 'backgroundConfig'), "Scene background materials", { targetOverrides: true });
+        await this._broadcastTargetUpdate('background', target, { statusChanged: false });
+    }
+
+    async _broadcastTargetUpdate(id, targetData, { statusChanged = true } = {}) {
+        const updatePromises = [];
+        for (const layer of canvas.layers) {
+            if (typeof layer.updateEffectTarget === 'function') {
+                updatePromises.push(layer.updateEffectTarget(id, targetData));
+            }
+        }
+        await Promise.all(updatePromises);
+
+        if (!statusChanged) return;
+        this.applyTileOpacities();
+        this.updateTextureStatuses();
+        Hooks.callAll('mapShine:targetsRefreshed');
+    }
+
+    updateTextureStatuses() {
+        const allTargets = [this.targets.background, ...this.targets.tiles.values()].filter(Boolean);
+        for (const key of Object.keys(TextureAutoLoader.SUFFIX_MAP)) {
+            const manual = allTargets.filter(t => t.mapSources?.[key] === 'manual').length;
+            const discovered = allTargets.filter(t => t.mapSources?.[key] === 'discovered').length;
+            let status;
+            if (manual && discovered) {
+                status = { state: 'manual', message: `Active. Manual on ${manual}, discovered on ${discovered} target(s).` };
+            } else if (manual) {
+                status = { state: 'manual', message: `Active. Manual on ${manual} target(s).` };
+            } else if (discovered) {
+                status = { state: 'ok', message: `Active. Discovered on ${discovered} target(s).` };
+            } else {
+                status = { state: 'warning', message: 'Not found for any active target.' };
+            }
+            systemStatus.update('textures', key, status);
+        }
+    }
+
+    async setTargetTextureMap(id, key, path) {
+        const doc = this.getTargetDocument(id);
+        if (!doc) return;
+        if (!doc.canUserModify(game.user, 'update')) {
+            ui.notifications.warn("You do not have permission to modify this target.");
+            return;
+        }
+
+        const flagKey = id === 'background' ? 'backgroundTextureMaps' : 'textureMaps';
+        if (path) {
+            await doc.setFlag(MODULE_ID, `${flagKey}.${key}`, path);
+        } else {
+            await doc.update({ [`flags.${MODULE_ID}.${flagKey}.-=${key}`]: null });
+        }
+
+        // Tile flag changes are picked up by the updateTile hook.
+        if (id === 'background') await this.refresh();
+    }
+
+    getTarget(id) {
+        return id === 'background' ? this.targets.background : this.targets.tiles.get(id) ?? null;
+    }
+
+    getTargetDocument(id) {
+        return id === 'background' ? canvas.scene : canvas.tiles.get(id)?.document ?? null;
+    }
+
+    getTargetLabel(id) {
+        if (id === 'background') return "Scene Background";
+        const src = this.getTargetDocument(id)?.texture?.src ?? id;
+        return `Tile: ${src.split('/').pop()}`;
+    }
+
+    _persistOverrides(id) {
+        let persist = this._persistDebouncers.get(id);
+        if (!persist) {
+            persist = foundry.utils.debounce(async () => {
+                const doc = this.getTargetDocument(id);
+                const target = this.getTarget(id);
+                if (!doc || !target) return;
+                const flagKey = id === 'background' ? 'backgroundConfig' : 'config';
+                await doc.setFlag(MODULE_ID, flagKey, ConfigMigrator.stamp(target.overrides));
+            }, 500);
+            this._persistDebouncers.set(id, persist);
+        }
+        persist();
+    }
+
+    async pushConfigToLayers({ retarget = false } = {}) {
+        // Re-targeting reuses the cached discovery results; only refresh() touches the file system.
+        if (retarget) {
+            this.applyTileOpacities();
+            await this.broadcastUpdate();
+        }
+        for (const layer of canvas.layers) {
+            if (typeof layer.updateFromConfig === 'function') {
+                await layer.updateFromConfig(OVERLAY_CONFIG);
+            }
+        }
+        ScreenEffectsManager.updateAllFiltersFromConfig(OVERLAY_CONFIG);
+    }
+
+    static _layerClassesFor(key) {
+        return {
+            baseShine: [ProceduralPatternLayer, MetallicShineLayer],
+            iridescence: [IridescencePatternLayer, IridescenceLayer],
+            ambient: [AmbientLayer],
+            groundGlow: [GroundGlowLayer],
+            dustMotes: [DustMotesLayer],
+            cloudShadows: [CloudShadowsLayer],
+            heatDistortion: [HeatDistortionLayer],
+            postProcessing: [],
+            advancedBloom: []
+        }[key];
+    }
+
+    /** Pushes a single changed value to the layers that read it; used for per-frame changes like tweens. */
+    async pushPathToLayers(path) {
+        const key = path.split('.')[0];
+        const layerClasses = EffectTargetManager._layerClassesFor(key);
+        if (!layerClasses) return this.pushConfigToLayers();
+
+        for (const layer of canvas.layers) {
+            if (layerClasses.some(cls => layer instanceof cls)) await layer.updateFromConfig(OVERLAY_CONFIG);
+        }
+        if (key === 'postProcessing' || key === 'advancedBloom') ScreenEffectsManager.updateAllFiltersFromConfig(OVERLAY_CONFIG);
+    }
+
+    async rescan() {
+        TextureAutoLoader.clearCache();
+        await this.refresh();
+    }
+
+    async setTargetOverride(id, path, value) {
+        const target = this.getTarget(id);
+        const doc = this.getTargetDocument(id);
+        if (!target || !doc) return;
+        if (!doc.canUserModify(game.user, 'update')) {
+            ui.notifications.warn("You do not have permission to modify this target.");
+            return;
+        }
+        if (!isTargetOverridePath(path)) {
+            console.warn(`MapShine | '${path}' cannot be overridden per target.`);
+            return;
+        }
+
+        target.overrides ??= {};
+        foundry.utils.setProperty(target.overrides, path, value);
+        await this.pushConfigToLayers();
+        this._persistOverrides(id);
+    }
+
+    async clearTargetOverrides(id) {
+        const target = this.getTarget(id);
+        const doc = this.getTargetDocument(id);
+        if (!target || !doc) return;
+        if (!doc.canUserModify(game.user, 'update')) {
+            ui.notifications.warn("You do not have permission to modify this target.");
+            return;
+        }
+
+        target.overrides = {};
+        await this.pushConfigToLayers();
+        await doc.unsetFlag(MODULE_ID, id === 'background' ? 'backgroundConfig' : 'config');
+    }
+
+    applyTileOpacities() {
+
+        for (const tile of canvas.tiles.placeables) {
+            if (!tile.mesh) continue;
+
+            const isTargetWithEffects = this.targets.tiles.has(tile.id) && OVERLAY_CONFIG.enabled;
+
+            if (isTargetWithEffects) {
+
+                tile.mesh.alpha = OVERLAY_CONFIG.tileOpacity;
+            } else {
+
+                tile.mesh.alpha = 1.0;
+            }
+        }
+    }
+}
+
+/**
+ * Turns bright clusters in _Ambient maps into AmbientLight documents so tokens and vision see
+ * the glow. Lights are flagged with the target they came from and their position in map space,
+ * which lets them follow the tile when it moves and be rebuilt when the map changes.
+ */
+class EmissiveLightManager {
+    static FLAG = 'emissiveLight';
+    static ANALYSIS_SIZE = 256;
+
+    getManagedLights(targetId = null) {
+        return (canvas.scene?.lights ?? []).filter(light => {
+            const flag = light.getFlag(MODULE_ID, EmissiveLightManager.FLAG);
+            return flag && (!targetId || flag.targetId === targetId);
+        });
+    }
+
+    /** Finds bright clusters in an emissive map. Positions and radii are in 0–1 map space. */
+    async analyze(path, lConfig) {
+        const texture = await foundry.canvas.loadTexture(path);
+        const source = texture?.baseTexture?.resource?.source;
+        if (!source) throw new Error(`could not load "${path}"`);
+
+        const sourceWidth = source.naturalWidth || source.videoWidth || source.width;
+        const sourceHeight = source.naturalHeight || source.videoHeight || source.height;
+        const scale = Math.min(1, EmissiveLightManager.ANALYSIS_SIZE / Math.max(sourceWidth, sourceHeight));
+        const width = Math.max(1, Math.round(sourceWidth * scale));
+        const height = Math.max(1, Math.round(sourceHeight * scale));
+
+        const canvasEl = document.createElement('canvas');
+        canvasEl.width = width;
+        canvasEl.height = height;
+        const ctx = canvasEl.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, width, height);
+        const data = ctx.getImageData(0, 0, width, height).data;
+
+        const weights = new Float32Array(width * height);
+        for (let i = 0; i < weights.length; i++) {
+            const o = i * 4;
+            const luminance = (0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2]) / 255;
+            const weight = luminance * data[o + 3] / 255;
+            if (weight >= lConfig.threshold) weights[i] = weight;
+        }
+
+        const labels = new Int32Array(width * height).fill(-1);
+        const clusters = [];
+        const stack = [];
+        for (let start = 0; start < weights.length; start++) {
+            if (!weights[start] || labels[start] !== -1) continue;
+            const cluster = { count: 0, weight: 0, x: 0, y: 0, r: 0, g: 0, b: 0 };
+            labels[start] = clusters.length;
+            stack.push(start);
+            while (stack.length) {
+                const i = stack.pop();
+                const x = i % width;
+                const y = (i - x) / width;
+                const w = weights[i];
+                cluster.count++;
+                cluster.weight += w;
+                cluster.x += (x + 0.5) * w;
+                cluster.y += (y + 0.5) * w;
+                cluster.r += data[i * 4] * w;
+                cluster.g += data[i * 4 + 1] * w;
+                cluster.b += data[i * 4 + 2] * w;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx, ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                        const n = ny * width + nx;
+                        if (weights[n] && labels[n] === -1) {
+                            labels[n] = clusters.length;
+                            stack.push(n);
+                        }
+                    }
+                }
+            }
+            clusters.push(cluster);
+        }
+
+        const minCount = Math.max(1, lConfig.minSize * width * height);
+        return clusters
+            .filter(c => c.count >= minCount)
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, lConfig.maxLights)
+            .map(c => {
+                const rgb = [c.r, c.g, c.b].map(v => v / c.weight);
+                // Keep the hue and let the light's own intensity set the brightness.
+                const peak = Math.max(...rgb, 1);
+                return {
+                    u: c.x / c.weight / width,
+                    v: c.y / c.weight / height,
+                    radius: Math.sqrt(c.count / Math.PI) / Math.sqrt(width * height),
+                    color: `#${rgb.map(v => Math.round(v / peak * 255).toString(16).padStart(2, '0')).join('')}`
+                };
+            });
+    }
+
+    _toWorld(rect, u, v) {
+        const dx = (u - 0.5) * rect.width;
+        const dy = (v - 0.5) * rect.height;
+        const cos = Math.cos(rect.rotation || 0);
+        const sin = Math.sin(rect.rotation || 0);
+        return {
+            x: rect.x + rect.width / 2 + dx * cos - dy * sin,
+            y: rect.y + rect.height / 2 + dx * sin + dy * cos
+        };
+    }
 
-        targetData.baseTexturePath = bgSrc;
-        targetData.rect = canvas.scene.dimensions.sceneRect;
-        return targetData;
+    _lightData(targetId, targetData, cluster, index, lConfig) {
+        const { x, y } = this._toWorld(targetData.rect, cluster.u, cluster.v);
+        const d = canvas.dimensions;
+        const worldRadius = cluster.radius * Math.sqrt(targetData.rect.width * targetData.rect.height);
+        const dim = worldRadius * lConfig.radiusScale / d.size * d.distance;
+        return {
+            x,
+            y,
+            config: {
+                dim,
+                bright: dim * lConfig.brightRatio,
+                color: cluster.color,
+                alpha: lConfig.alpha
+            },
+            flags: {
+                [MODULE_ID]: {
+                    [EmissiveLightManager.FLAG]: { targetId, sourcePath: targetData.ambient, index, ...cluster }
+                }
+            }
+        };
     }
 
-    async _processTile(tile) {
-        const tileSrc = tile.document.texture.src;
-        if (!tileSrc) return null;
+    /** Works out the creates, updates and deletes that bring a target's lights in line with its map. */
+    async _plan(targetId, lConfig) {
+        const targetData = game.mapShine.effectTargetManager.getTarget(targetId);
+        const existing = this.getManagedLights(targetId)
+            .sort((a, b) => a.getFlag(MODULE_ID, EmissiveLightManager.FLAG).index - b.getFlag(MODULE_ID, EmissiveLightManager.FLAG).index);
+        const clusters = targetData?.ambient ? await this.analyze(targetData.ambient, lConfig) : [];
+        const lights = clusters.map((cluster, i) => this._lightData(targetId, targetData, cluster, i, lConfig));
+        return {
+            targetId,
+            create: lights.slice(existing.length),
+            update: lights.slice(0, existing.length).map((data, i) => ({ _id: existing[i].id, ...data })),
+            delete: existing.slice(lights.length).map(light => light.id)
+        };
+    }
 
-        const suffixData = await this._findSuffixesForBaseTexture(tileSrc);
-        const hasEffectMap = Object.values(suffixData).some(path => path && typeof path === 'string');
+    async _apply(plans) {
+        const scene = canvas.scene;
+        const create = plans.flatMap(p => p.create);
+        const update = plans.flatMap(p => p.update);
+        const remove = plans.flatMap(p => p.delete);
+        if (remove.length) await scene.deleteEmbeddedDocuments('AmbientLight', remove);
+        if (update.length) await scene.updateEmbeddedDocuments('AmbientLight', update);
+        if (create.length) await scene.createEmbeddedDocuments('AmbientLight', create);
+    }
 
-        if (hasEffectMap) {
+    /** Analyses the given targets' emissive maps and, after confirmation, creates or updates their lights. */
+    async generate(targetIds) {
+        if (!game.user.isGM) {
+            ui.notifications.warn("Only a GM can create lights from emissive maps.");
+            return false;
+        }
+        const lConfig = OVERLAY_CONFIG.ambient.lights;
+        const manager = game.mapShine.effectTargetManager;
+        const plans = [];
+        for (const id of targetIds) {
+            if (!manager.getTarget(id)?.ambient && !this.getManagedLights(id).length) continue;
+            try {
+                plans.push(await this._plan(id, lConfig));
+            } catch (e) {
+                console.error(`MapShine | Could not analyse the emissive map of ${manager.getTargetLabel(id)}.`, e);
+                ui.notifications.error(`Could not analyse the emissive map of ${manager.getTargetLabel(id)}.`);
+            }
+        }
 
-            return {
-                tile,
-                baseTexturePath: tileSrc,
-                rect: {
-                    x: tile.document.x,
-                    y: tile.document.y,
-                    width: tile.document.width,
-                    height: tile.document.height,
-                    rotation: tile.document.rotation * (Math.PI / 180),
-                },
-                ...suffixData
-            };
+        const count = key => plans.reduce((sum, p) => sum + p[key].length, 0);
+        const found = count('create') + count('update');
+        if (!found && !count('delete')) {
+            ui.notifications.info("No glowing areas bright enough to become lights were found. Try a lower threshold.");
+            return false;
         }
-        return null;
+        const confirmed = await Dialog.confirm({
+            title: "Lights from Emissive Maps",
+            content: `<p>Found <strong>${found}</strong> glowing area(s) on ${plans.length} target(s).</p>
+                <p>This will create ${count('create')}, update ${count('update')} and remove ${count('delete')} Map Shine lights.</p>`,
+            defaultYes: true
+        });
+        if (!confirmed) return false;
+
+        await this._apply(plans);
+        ui.notifications.info(`Map Shine lights updated: ${found} from emissive maps.`);
+        return true;
     }
 
-    async _findSuffixesForBaseTexture(baseTexturePath) {
-        const discoveredPaths = {};
-        Object.keys(TextureAutoLoader.SUFFIX_MAP).forEach(key => discoveredPaths[key] = null);
-        const cleanPath = decodeURIComponent(baseTexturePath);
-        const lastSlash = cleanPath.lastIndexOf('/');
-        const directory = cleanPath.substring(0, lastSlash);
-        const filename = cleanPath.substring(lastSlash + 1);
-        const lastDot = filename.lastIndexOf('.');
-        const baseName = filename.substring(0, lastDot);
-        const extension = filename.substring(lastDot);
+    async removeLights(targetIds = null) {
+        const lights = targetIds
+            ? targetIds.flatMap(id => this.getManagedLights(id))
+            : this.getManagedLights();
+        if (!lights.length) return;
+        await canvas.scene.deleteEmbeddedDocuments('AmbientLight', lights.map(light => light.id));
+    }
 
-        if (!baseName || !directory) return discoveredPaths;
+    /**
+     * Keeps a target's lights attached to it: moves them when the tile moves, rebuilds them when
+     * the emissive map changes and removes them when the map or tile is gone. Only the active GM acts.
+     */
+    async syncTarget(targetId) {
+        if (!game.users.activeGM?.isSelf) return;
+        const lights = this.getManagedLights(targetId);
+        if (!lights.length) return;
 
-        let filesInDir = [];
-        try {
-            const source = game.settings.get("core", "noCanvas") ? "public" : "data";
-            filesInDir = (await foundry.applications.apps.FilePicker.implementation.browse(source, directory)).files;
-        } catch (e) {
-            console.warn(`MapShine | Could not browse directory "${directory}" for base texture "${baseName}".`, e);
-            return discoveredPaths;
+        const targetData = game.mapShine.effectTargetManager.getTarget(targetId);
+        const sourcePath = lights[0].getFlag(MODULE_ID, EmissiveLightManager.FLAG).sourcePath;
+        if (!targetData?.ambient || targetData.ambient !== sourcePath) {
+            try {
+                await this._apply([await this._plan(targetId, OVERLAY_CONFIG.ambient.lights)]);
+            } catch (e) {
+                console.error(`MapShine | Could not rebuild emissive lights for ${targetId}.`, e);
+            }
+            return;
         }
 
-        for (const [key, suffix] of Object.entries(TextureAutoLoader.SUFFIX_MAP)) {
-            const expectedFilename = `${baseName}${suffix}${extension}`;
-            const foundFile = filesInDir.find(fullPath => {
-                const fNameOnly = decodeURIComponent(fullPath).substring(fullPath.lastIndexOf('/') + 1);
-                return fNameOnly.toLowerCase() === expectedFilename.toLowerCase();
-            });
-            if (foundFile) discoveredPaths[key] = foundFile;
+        const updates = [];
+        for (const light of lights) {
+            const flag = light.getFlag(MODULE_ID, EmissiveLightManager.FLAG);
+            const { x, y } = this._toWorld(targetData.rect, flag.u, flag.v);
+            if (Math.abs(light.x - x) > 0.5 || Math.abs(light.y - y) > 0.5) updates.push({ _id: light.id, x, y });
         }
-        return discoveredPaths;
+        if (updates.length) await canvas.scene.updateEmbeddedDocuments('AmbientLight', updates);
+    }
+
+    async syncAll() {
+        const targetIds = new Set(this.getManagedLights().map(light => light.getFlag(MODULE_ID, EmissiveLightManager.FLAG).targetId));
+        for (const id of targetIds) await this.syncTarget(id);
     }
 }
 
@@ -2587,12 +4827,7 @@ class ScreenEffectsManager {
     static _updateContainerFilters() {
         if (!this._container) return;
 
-        const filterClasses = [HeatDistortionFilter, VignetteFilter, LensDistortionFilter, ChromaticAberrationFilter, ColorCorrectionFilter];
-
-        const BloomFilterConstructor = PIXI.filters.AdvancedBloomFilter || (PIXI.filters.filters && PIXI.filters.filters.AdvancedBloomFilter);
-        if (BloomFilterConstructor) {
-            filterClasses.push(BloomFilterConstructor);
-        }
+        const filterClasses = [HeatDistortionFilter, VignetteFilter, LensDistortionFilter, ChromaticAberrationFilter, ColorCorrectionFilter, MultiResBloomFilter];
 
         const TiltShiftFilterConstructor = PIXI.filters.TiltShiftFilter || (PIXI.filters.filters && PIXI.filters.filters.TiltShiftFilter);
         if (TiltShiftFilterConstructor) {
@@ -2646,20 +4881,12 @@ class ScreenEffectsManager {
         }
 
         try {
-            const BloomFilterConstructor = PIXI.filters.AdvancedBloomFilter || (PIXI.filters.filters && PIXI.filters.filters.AdvancedBloomFilter);
-
-            if (BloomFilterConstructor) {
-                const bloomFilter = new BloomFilterConstructor(OVERLAY_CONFIG.advancedBloom);
-                this.addFilter('advancedBloom', bloomFilter);
-                console.log("MapShine | AdvancedBloomFilter created successfully from bundled library.");
-            } else {
-                const errorMsg = "Could not find PIXI.filters.AdvancedBloomFilter. The bundled script may have failed to load.";
-                console.error(`MapShine | ${errorMsg}`);
-                ppErrors.push('AdvancedBloom (Bundling Failed)');
-            }
+            this.addFilter('advancedBloom', new MultiResBloomFilter());
+            systemStatus.update('shaders', 'bloom', { state: 'ok', message: 'Compiled successfully.' });
         } catch (e) {
-            console.error("MapShine | Failed to create AdvancedBloomFilter instance:", e);
-            ppErrors.push('AdvancedBloom (Creation Failed)');
+            console.error("MapShine | Failed to create MultiResBloomFilter instance:", e);
+            systemStatus.update('shaders', 'bloom', { state: 'error', message: `Compilation failed: ${e.message}` });
+            ppErrors.push('Bloom');
         }
 
         try {
@@ -2689,14 +4916,14 @@ class ScreenEffectsManager {
         const ab = config.advancedBloom;
 
         const advancedBloomFilter = this.getFilter('advancedBloom');
-        const BloomFilterConstructor = PIXI.filters.AdvancedBloomFilter || (PIXI.filters.filters && PIXI.filters.filters.AdvancedBloomFilter);
-        if (advancedBloomFilter && BloomFilterConstructor && advancedBloomFilter instanceof BloomFilterConstructor) {
+        if (advancedBloomFilter instanceof MultiResBloomFilter) {
             advancedBloomFilter.enabled = config.enabled && pp.enabled && ab.enabled;
             advancedBloomFilter.threshold = ab.threshold;
             advancedBloomFilter.bloomScale = ab.bloomScale;
             advancedBloomFilter.brightness = ab.brightness;
             advancedBloomFilter.blur = ab.blur;
-            advancedBloomFilter.quality = ab.quality;
+            advancedBloomFilter.levels = ab.quality;
+            advancedBloomFilter.resolutionScale = ab.resolutionScale;
         }
 
         const tiltShiftFilter = this.getFilter('tiltShift');
@@ -2949,10 +5176,10 @@ class AmbientMaskManager {
 
     update() {
         const ambientLayer = canvas.layers.find(l => l instanceof AmbientLayer);
-        const illuminationAPI = game.modules.get('illuminationbuffer')?.api;
+        const illumination = IlluminationProviders.getActive();
 
         const mConfig = OVERLAY_CONFIG.ambient.masking;
-        const shouldBeEnabled = mConfig.enabled && ambientLayer?.visible && !!illuminationAPI;
+        const shouldBeEnabled = mConfig.enabled && ambientLayer?.visible && !!illumination;
 
         if (!shouldBeEnabled) {
             if (ambientLayer && ambientLayer.mask) {
@@ -2962,7 +5189,7 @@ class AmbientMaskManager {
             return;
         }
 
-        const illuminationTexture = illuminationAPI.getLightingTexture();
+        const illuminationTexture = illumination.getLightingTexture();
         if (!illuminationTexture?.valid) {
             if (ambientLayer.mask) ambientLayer.mask = null;
             return;
@@ -2989,6 +5216,458 @@ class AmbientMaskManager {
     }
 }
 
+/**
+ * Keeps what the viewer can see now and what they have explored available as screen-space
+ * textures, so emissive layers can hide under fog of war. Vision comes straight from Foundry's
+ * vision mask; the exploration sprite is copied into screen space each frame it is needed.
+ */
+class VisibilityMaskManager {
+    static CONFIG_PATHS = ['ambient.fogOfWar', 'groundGlow.fogOfWar', 'dustMotes.fogOfWar'];
+
+    constructor() {
+        console.log("VisibilityMaskManager | Initializing.");
+        const screen = canvas.app.screen;
+        this.exploredTexture = PIXI.RenderTexture.create({ width: screen.width, height: screen.height });
+        this.exploredSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+        this.restricted = false;
+
+        this._tickerFunction = this.update.bind(this);
+        canvas.app.ticker.add(this._tickerFunction);
+    }
+
+    destroy() {
+        console.log("VisibilityMaskManager | Destroying.");
+        canvas.app.ticker.remove(this._tickerFunction);
+        this.exploredTexture?.destroy(true);
+        this.exploredSprite?.destroy();
+        this.exploredTexture = this.exploredSprite = null;
+    }
+
+    update() {
+        // GMs without a controlled token, and scenes without token vision, see everything.
+        const visibility = canvas.visibility;
+        this.restricted = !!visibility?.tokenVision && visibility.visible;
+        if (!this.restricted) return;
+
+        const usesExplored = VisibilityMaskManager.CONFIG_PATHS.some(path => getConfigValue(OVERLAY_CONFIG, path)?.mode === 'explored');
+        if (!usesExplored) return;
+
+        const renderer = canvas.app.renderer;
+        const screen = renderer.screen;
+        if (this.exploredTexture.width !== screen.width || this.exploredTexture.height !== screen.height) {
+            this.exploredTexture.resize(screen.width, screen.height);
+        }
+
+        const fogSprite = canvas.fog?.sprite;
+        if (fogSprite?.texture?.valid) {
+            const bounds = fogSprite.getBounds();
+            this.exploredSprite.texture = fogSprite.texture;
+            this.exploredSprite.position.set(bounds.x, bounds.y);
+            this.exploredSprite.width = bounds.width;
+            this.exploredSprite.height = bounds.height;
+        } else {
+            this.exploredSprite.texture = PIXI.Texture.EMPTY;
+        }
+        renderer.render(this.exploredSprite, { renderTexture: this.exploredTexture, clear: true });
+    }
+
+    /** Points a layer's VisibilityMaskFilter at the current masks for its fog of war settings. */
+    applyTo(filter, fowConfig) {
+        filter.enabled = this.restricted && fowConfig.mode !== 'always';
+        if (!filter.enabled) return;
+        const screen = canvas.app.renderer.screen;
+        const u = filter.uniforms;
+        u.uVisionTexture = canvas.masks?.vision?.renderTexture ?? PIXI.Texture.WHITE;
+        u.uExploredTexture = this.exploredTexture;
+        u.uExploredBrightness = fowConfig.mode === 'explored' ? fowConfig.exploredBrightness : 0.0;
+        u.uScreenSize = [screen.width, screen.height];
+    }
+}
+
+/**
+ * Tiles and regions flagged as reveal zones report when light falls on them. Each client measures
+ * the zones it can see against its lighting texture a few times a second. A change is applied by
+ * the active GM, who stores it on the document and runs the zone's macro; every client then fires
+ * `mapShine.revealed` or `mapShine.concealed` from the document update.
+ */
+class RevealZoneManager {
+    static FLAG = 'revealZone';
+    static SAMPLE_SIZE = 32;
+    static ATLAS_COLUMNS = 8;
+    static INTERVAL = 0.25;
+    static HYSTERESIS = 0.05;
+    // Zones mostly off screen are left alone rather than judged on a sliver.
+    static MIN_ON_SCREEN = 0.5;
+    // A player sends at most one batch of reports per interval; the GM drops anything faster than half that.
+    static REPORT_INTERVAL = 1;
+    // A request the GM never acts on is retried after this long.
+    static REQUEST_TIMEOUT = 5;
+    static CONFIRM_SIZE = 16;
+
+    constructor() {
+        console.log("RevealZoneManager | Initializing.");
+        const size = RevealZoneManager.SAMPLE_SIZE;
+        this.atlasTexture = PIXI.RenderTexture.create({ width: size * RevealZoneManager.ATLAS_COLUMNS, height: size });
+        const geometry = new PIXI.Geometry()
+            .addAttribute('aVertexPosition', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+            .addAttribute('aTextureCoord', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+            .addIndex([0, 1, 2, 0, 2, 3]);
+        this.mesh = new PIXI.Mesh(geometry, new RevealCoverageShader());
+        this.mesh.scale.set(size, size);
+        this.reader = new AsyncPixelReader();
+
+        this.coverage = new Map();
+        this._weightTextures = new Map();
+        this._weightGrids = new WeakMap();
+        this._regionMasks = new Map();
+        this._requested = new Map();
+        this._outbox = new Map();
+        this._lastSent = -Infinity;
+        this._reportTimes = new Map();
+        this._elapsed = 0;
+
+        this._tickerFunction = this.update.bind(this);
+        canvas.app.ticker.add(this._tickerFunction);
+    }
+
+    destroy() {
+        console.log("RevealZoneManager | Destroying.");
+        canvas.app.ticker.remove(this._tickerFunction);
+        for (const texture of this._regionMasks.values()) texture.destroy(true);
+        this.reader?.destroy();
+        this.atlasTexture?.destroy(true);
+        this.mesh?.destroy(true);
+        this._regionMasks.clear();
+        this._weightTextures.clear();
+        this._outbox.clear();
+        this.atlasTexture = this.mesh = this.reader = null;
+    }
+
+    static getZoneData(doc) {
+        return doc?.getFlag(MODULE_ID, RevealZoneManager.FLAG) ?? null;
+    }
+
+    /** Makes a tile or region a reveal zone, or stops it being one when `data` is null. */
+    static async configure(doc, data) {
+        if (!doc?.canUserModify(game.user, 'update')) {
+            ui.notifications.warn("You do not have permission to modify this reveal zone.");
+            return false;
+        }
+        if (!data) {
+            await doc.update({ [`flags.${MODULE_ID}.-=${RevealZoneManager.FLAG}`]: null });
+            return true;
+        }
+        const current = RevealZoneManager.getZoneData(doc) ?? {};
+        await doc.setFlag(MODULE_ID, RevealZoneManager.FLAG, {
+            name: data.name ?? current.name ?? doc.name ?? doc.id,
+            threshold: Math.min(1, Math.max(0, Number(data.threshold ?? current.threshold ?? 0.5))),
+            revealMacro: data.revealMacro ?? current.revealMacro ?? '',
+            concealMacro: data.concealMacro ?? current.concealMacro ?? '',
+            revealed: current.revealed ?? false
+        });
+        return true;
+    }
+
+    static describe(doc, coverage = null) {
+        const zone = RevealZoneManager.getZoneData(doc);
+        return {
+            name: zone?.name ?? doc.id,
+            uuid: doc.uuid,
+            type: doc.documentName,
+            revealed: !!zone?.revealed,
+            coverage,
+            document: doc
+        };
+    }
+
+    getZones() {
+        const scene = canvas.scene;
+        if (!scene) return [];
+        return [...scene.tiles, ...(scene.regions ?? [])].filter(doc => RevealZoneManager.getZoneData(doc));
+    }
+
+    update() {
+        const result = this.reader.poll();
+        if (result) this._readCoverage(result.pixels, result.width, result.context);
+
+        this._elapsed += canvas.app.ticker.deltaMS / 1000;
+        if (this._elapsed < RevealZoneManager.INTERVAL) return;
+        this._elapsed = 0;
+        this._flushReports();
+
+        // Only the GM applies changes, so players have nothing to measure for while none is connected.
+        if (this.reader.busy || !game.users.activeGM) return;
+        const zones = game.user.isGM ? this.getZones() : this.getZones().filter(doc => !doc.hidden);
+        if (!zones.length) return;
+        const lighting = IlluminationProviders.getActive()?.getLightingTexture();
+        if (!lighting?.valid) return;
+        this._measure(zones, lighting);
+    }
+
+    /** Where a zone sits in the world, as a transform of the unit square, and what weights its area. */
+    _getZoneGeometry(doc) {
+        if (doc.documentName === 'Tile') {
+            const rect = TextureAutoLoader.getTileRect(doc);
+            const zoneToWorld = new PIXI.Matrix()
+                .translate(-0.5, -0.5)
+                .scale(rect.width, rect.height)
+                .rotate(rect.rotation)
+                .translate(rect.x + rect.width / 2, rect.y + rect.height / 2);
+            const glowPath = game.mapShine.effectTargetManager.getTarget(doc.id)?.groundGlow;
+            return { zoneToWorld, weight: glowPath ? this._getWeightTexture(glowPath) : PIXI.Texture.WHITE };
+        }
+        const bounds = doc.bounds;
+        if (!bounds?.width || !bounds?.height) return null;
+        return {
+            zoneToWorld: new PIXI.Matrix(bounds.width, 0, 0, bounds.height, bounds.x, bounds.y),
+            weight: this._getRegionMask(doc, bounds)
+        };
+    }
+
+    /** Renders every zone on screen into one cell of the atlas each and starts a single readback. */
+    _measure(zones, lighting) {
+        const { SAMPLE_SIZE: size, ATLAS_COLUMNS: columns } = RevealZoneManager;
+        const renderer = canvas.app.renderer;
+        const screen = renderer.screen;
+        const ggConfig = OVERLAY_CONFIG.groundGlow;
+        const u = this.mesh.shader.uniforms;
+        u.uLighting = lighting;
+        u.uLuminanceThreshold = ggConfig.luminanceThreshold;
+        u.uSoftness = ggConfig.softness;
+
+        const cells = [];
+        for (const doc of zones) {
+            const geometry = this._getZoneGeometry(doc);
+            if (!geometry?.weight?.valid) continue;
+            const zoneToScreen = geometry.zoneToWorld.prepend(canvas.stage.worldTransform).scale(1 / screen.width, 1 / screen.height);
+            if (!this._isOnScreen(zoneToScreen)) continue;
+            cells.push({ uuid: doc.uuid, weight: geometry.weight, zoneToScreen });
+        }
+        if (!cells.length) return;
+
+        const rows = Math.ceil(cells.length / columns);
+        if (this.atlasTexture.height < rows * size) this.atlasTexture.resize(columns * size, rows * size);
+        cells.forEach((cell, i) => {
+            u.uWeight = cell.weight;
+            u.uZoneToScreen = cell.zoneToScreen;
+            this.mesh.position.set((i % columns) * size, Math.floor(i / columns) * size);
+            renderer.render(this.mesh, { renderTexture: this.atlasTexture, clear: i === 0 });
+        });
+        this.reader.read(this.atlasTexture, { uuids: cells.map(cell => cell.uuid) });
+    }
+
+    _isOnScreen(zoneToScreen) {
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => zoneToScreen.apply(new PIXI.Point(x, y)));
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        return Math.max(...xs) > 0 && Math.min(...xs) < 1 && Math.max(...ys) > 0 && Math.min(...ys) < 1;
+    }
+
+    _readCoverage(pixels, width, { uuids }) {
+        const { SAMPLE_SIZE: size, ATLAS_COLUMNS: columns } = RevealZoneManager;
+        uuids.forEach((uuid, i) => {
+            const x0 = (i % columns) * size;
+            const y0 = Math.floor(i / columns) * size;
+            let lit = 0, total = 0, visible = 0;
+            for (let y = y0; y < y0 + size; y++) {
+                for (let x = x0; x < x0 + size; x++) {
+                    const index = (y * width + x) * 4;
+                    lit += pixels[index];
+                    total += pixels[index + 1];
+                    visible += pixels[index + 2];
+                }
+            }
+            if (!total || visible / total < RevealZoneManager.MIN_ON_SCREEN) return;
+
+            const doc = fromUuidSync(uuid);
+            const zone = RevealZoneManager.getZoneData(doc);
+            if (!zone) return;
+            const coverage = lit / visible;
+            this.coverage.set(uuid, coverage);
+            const revealed = zone.revealed
+                ? coverage >= zone.threshold - RevealZoneManager.HYSTERESIS
+                : coverage >= zone.threshold;
+            if (revealed !== !!zone.revealed) this._request(doc, revealed, coverage, visible / total);
+        });
+    }
+
+    _getWeightTexture(path) {
+        if (!this._weightTextures.has(path)) {
+            this._weightTextures.set(path, null);
+            foundry.canvas.loadTexture(path)
+                .then(texture => this._weightTextures.set(path, texture))
+                .catch(e => console.warn(`RevealZoneManager | Could not load glow map "${path}".`, e));
+        }
+        return this._weightTextures.get(path);
+    }
+
+    _getRegionMask(doc, bounds) {
+        let texture = this._regionMasks.get(doc.id);
+        if (texture) return texture;
+
+        const size = RevealZoneManager.SAMPLE_SIZE * 2;
+        const graphics = new PIXI.Graphics();
+        graphics.beginFill(0xffffff);
+        for (const polygon of doc.polygons ?? []) graphics.drawPolygon(polygon);
+        graphics.endFill();
+        graphics.scale.set(size / bounds.width, size / bounds.height);
+        graphics.position.set(-bounds.x * graphics.scale.x, -bounds.y * graphics.scale.y);
+
+        texture = PIXI.RenderTexture.create({ width: size, height: size });
+        canvas.app.renderer.render(graphics, { renderTexture: texture, clear: true });
+        graphics.destroy();
+        this._regionMasks.set(doc.id, texture);
+        return texture;
+    }
+
+    _request(doc, revealed, coverage, onScreen) {
+        const gm = game.users.activeGM;
+        if (!gm) return;
+        const now = performance.now();
+        const latch = this._requested.get(doc.uuid);
+        if (latch?.revealed === revealed && now - latch.time < RevealZoneManager.REQUEST_TIMEOUT * 1000) return;
+        this._requested.set(doc.uuid, { revealed, time: now });
+
+        if (gm.isSelf) {
+            // A no-op or failed apply frees the zone to be requested again at once.
+            this.applyState(doc, revealed, coverage).finally(() => this._requested.delete(doc.uuid));
+        } else {
+            this._outbox.set(doc.uuid, { uuid: doc.uuid, revealed, coverage, onScreen });
+        }
+    }
+
+    _flushReports() {
+        const now = performance.now();
+        if (!this._outbox.size || now - this._lastSent < RevealZoneManager.REPORT_INTERVAL * 1000) return;
+        game.mapShine.liveSync.send({ action: 'revealZone', reports: [...this._outbox.values()] });
+        this._outbox.clear();
+        this._lastSent = now;
+    }
+
+    /**
+     * Run by the active GM on a player's reports. Each one must name a zone in this scene that the
+     * player could see, and is only applied once the GM's own light check agrees with it.
+     */
+    receiveReports(userId, reports) {
+        if (!game.users.activeGM?.isSelf || !Array.isArray(reports)) return;
+        const user = game.users.get(userId);
+        if (!user?.active || user.isGM || user.viewedScene !== canvas.scene?.id) return;
+
+        const now = performance.now();
+        if (now - (this._reportTimes.get(userId) ?? -Infinity) < RevealZoneManager.REPORT_INTERVAL * 500) return;
+        this._reportTimes.set(userId, now);
+
+        const zones = new Map(this.getZones().map(doc => [doc.uuid, doc]));
+        for (const report of reports.slice(0, zones.size)) {
+            const doc = zones.get(report?.uuid);
+            if (!doc || doc.hidden || typeof report.revealed !== 'boolean') continue;
+            if (!(Number(report.onScreen) >= RevealZoneManager.MIN_ON_SCREEN)) continue;
+
+            const zone = RevealZoneManager.getZoneData(doc);
+            const confirmed = this._confirmCoverage(doc);
+            if (confirmed === null) continue;
+            const agrees = report.revealed
+                ? confirmed >= zone.threshold - RevealZoneManager.HYSTERESIS
+                : confirmed < zone.threshold;
+            if (!agrees) {
+                console.warn(`RevealZoneManager | Ignoring ${user.name}'s report for zone "${zone.name}": lights give ${Math.round(confirmed * 100)}% coverage.`);
+                continue;
+            }
+            const coverage = Math.min(1, Math.max(0, Number(report.coverage) || 0));
+            this.applyState(doc, report.revealed, coverage);
+        }
+    }
+
+    /**
+     * The GM's own estimate of a zone's coverage, taken from the light sources' shapes rather than the
+     * screen so it holds wherever the GM is looking. Light too dim to pass the luminance threshold still
+     * counts here, so it confirms that a zone could be lit rather than matching the measurement exactly.
+     */
+    _confirmCoverage(doc) {
+        const geometry = this._getZoneGeometry(doc);
+        const weights = geometry?.weight?.valid ? this._getWeightGrid(geometry.weight) : null;
+        if (!weights) return null;
+
+        const size = RevealZoneManager.CONFIRM_SIZE;
+        const globalLight = canvas.environment?.globalLightSource;
+        const sources = globalLight?.active ? [] : [...canvas.effects.lightSources].filter(source => source !== globalLight && source.active);
+        const point = new PIXI.Point();
+        let lit = 0, total = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const weight = weights[y * size + x];
+                if (!weight) continue;
+                total += weight;
+                if (globalLight?.active) {
+                    lit += weight;
+                    continue;
+                }
+                geometry.zoneToWorld.apply(point.set((x + 0.5) / size, (y + 0.5) / size), point);
+                if (sources.some(source => source.shape?.contains(point.x, point.y))) lit += weight;
+            }
+        }
+        return total ? lit / total : 0;
+    }
+
+    _getWeightGrid(texture) {
+        let weights = this._weightGrids.get(texture);
+        if (weights) return weights;
+
+        const size = RevealZoneManager.CONFIRM_SIZE;
+        const sprite = new PIXI.Sprite(texture);
+        sprite.width = sprite.height = size;
+        const renderTexture = PIXI.RenderTexture.create({ width: size, height: size });
+        canvas.app.renderer.render(sprite, { renderTexture, clear: true });
+        const pixels = canvas.app.renderer.extract.pixels(renderTexture);
+        sprite.destroy();
+        renderTexture.destroy(true);
+
+        weights = new Float32Array(size * size);
+        for (let i = 0; i < weights.length; i++) {
+            weights[i] = Math.max(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]) / 255;
+        }
+        this._weightGrids.set(texture, weights);
+        return weights;
+    }
+
+    /** Run by the active GM: records the zone's new state and runs its macro. */
+    async applyState(doc, revealed, coverage = null) {
+        if (!game.users.activeGM?.isSelf) return;
+        const zone = RevealZoneManager.getZoneData(doc);
+        if (!zone || !!zone.revealed === revealed) return;
+
+        await doc.update({ [`flags.${MODULE_ID}.${RevealZoneManager.FLAG}.revealed`]: revealed }, { mapShineCoverage: coverage });
+
+        const macroRef = revealed ? zone.revealMacro : zone.concealMacro;
+        if (!macroRef) return;
+        const macro = (macroRef.includes('.') ? await fromUuid(macroRef) : null) ?? game.macros.getName(macroRef);
+        if (!macro) {
+            console.warn(`RevealZoneManager | Macro "${macroRef}" for zone "${zone.name}" was not found.`);
+            return;
+        }
+        try {
+            await macro.execute({ zone: RevealZoneManager.describe(doc, coverage), revealed, coverage });
+        } catch (e) {
+            console.error(`RevealZoneManager | Macro "${macroRef}" for zone "${zone.name}" failed.`, e);
+        }
+    }
+
+    onZoneUpdated(doc, changes, options) {
+        const zoneChanges = changes.flags?.[MODULE_ID];
+        if (!zoneChanges) return;
+        if (!foundry.utils.hasProperty(zoneChanges, `${RevealZoneManager.FLAG}.revealed`)) return;
+
+        this._requested.delete(doc.uuid);
+        const info = RevealZoneManager.describe(doc, options.mapShineCoverage ?? this.coverage.get(doc.uuid) ?? null);
+        Hooks.callAll(info.revealed ? 'mapShine.revealed' : 'mapShine.concealed', info);
+    }
+
+    _dropRegionMask(id) {
+        this._regionMasks.get(id)?.destroy(true);
+        this._regionMasks.delete(id);
+    }
+}
+
 class BackgroundLayer extends foundry.canvas.layers.CanvasLayer {
     constructor() {
         super();
@@ -3017,22 +5696,39 @@ class BackgroundLayer extends foundry.canvas.layers.CanvasLayer {
             if (!targetData?.baseTexturePath) continue;
 
             validTargetIds.add(id);
-            let sprite = this.effectSprites.get(id);
+            await this._syncTarget(id, targetData);
+        }
 
-            if (!sprite) {
-                sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                this.effectSprites.set(id, sprite);
-                this.container.addChild(sprite);
-            }
-            await this._updateSpriteTransform(sprite, targetData.baseTexturePath, targetData.rect);
+        for (const id of [...this.effectSprites.keys()]) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
         }
+    }
 
-        for (const [id, sprite] of this.effectSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy();
-                this.effectSprites.delete(id);
-            }
+    async updateEffectTarget(id, targetData) {
+        if (!this.container) return;
+        if (targetData?.baseTexturePath) {
+            await this._syncTarget(id, targetData);
+        } else {
+            this._removeTarget(id);
+        }
+    }
+
+    async _syncTarget(id, targetData) {
+        let sprite = this.effectSprites.get(id);
+
+        if (!sprite) {
+            sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            this.effectSprites.set(id, sprite);
+            this.container.addChild(sprite);
         }
+        await this._updateSpriteTransform(sprite, targetData.baseTexturePath, targetData.rect);
+    }
+
+    _removeTarget(id) {
+        const sprite = this.effectSprites.get(id);
+        if (!sprite) return;
+        sprite.destroy();
+        this.effectSprites.delete(id);
     }
 
     async _updateSpriteTransform(sprite, texturePath, rect) {
@@ -3089,7 +5785,8 @@ class IridescenceLayer extends foundry.canvas.layers.CanvasLayer {
     async updateEffectTargets(targets) {
         if (!this.visible || !this.patternLayer) {
 
-            for (const container of this.targetContainers.values()) {
+            for (const [id, container] of this.targetContainers.entries()) {
+                this.patternLayer?.removeVariant(id);
                 container.destroy({ children: true });
             }
             this.targetContainers.clear();
@@ -3105,37 +5802,73 @@ class IridescenceLayer extends foundry.canvas.layers.CanvasLayer {
             if (!targetData?.iridescence) continue;
 
             validTargetIds.add(id);
-            let container = this.targetContainers.get(id);
-
-            if (!container) {
-                container = new PIXI.Container();
+            await this._syncTarget(id, targetData);
+        }
 
-                container.effectSprite = new PIXI.Sprite(this.patternLayer.getPatternTexture());
+        for (const id of [...this.targetContainers.keys()]) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
+        }
+    }
 
-                container.maskSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                container.addChild(container.effectSprite);
-                container.addChild(container.maskSprite);
-                container.mask = container.maskSprite;
+    async updateEffectTarget(id, targetData) {
+        if (!this.visible || !this.patternLayer) return;
+        if (targetData?.iridescence) {
+            await this._syncTarget(id, targetData);
+        } else {
+            this._removeTarget(id);
+        }
+    }
 
-                container.targetRect = targetData.rect;
+    async _syncTarget(id, targetData) {
+        let container = this.targetContainers.get(id);
 
-                this.targetContainers.set(id, container);
-                this.addChild(container);
-            } else {
+        if (!container) {
+            container = new PIXI.Container();
 
-                 container.targetRect = targetData.rect;
-            }
+            container.effectSprite = new PIXI.Sprite(this.patternLayer.getPatternTexture());
 
-            await this._updateSpriteTexture(container.maskSprite, targetData.iridescence);
+            container.maskSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            container.addChild(container.effectSprite);
+            container.addChild(container.maskSprite);
+            container.mask = container.maskSprite;
 
+            this.targetContainers.set(id, container);
+            this.addChild(container);
         }
+        container.targetRect = targetData.rect;
+        container.targetData = targetData;
 
-        for (const [id, container] of this.targetContainers.entries()) {
-            if (!validTargetIds.has(id)) {
-                container.destroy({ children: true });
-                this.targetContainers.delete(id);
-            }
+        await this._updateSpriteTexture(container.maskSprite, targetData.iridescence);
+        this._syncTargetPattern(id, container, OVERLAY_CONFIG);
+    }
+
+    _removeTarget(id) {
+        const container = this.targetContainers.get(id);
+        if (!container) return;
+        this.patternLayer?.removeVariant(id);
+        container.destroy({ children: true });
+        this.targetContainers.delete(id);
+    }
+
+    _syncTargetPattern(id, container, config) {
+        const overrides = getTargetOverrides(container.targetData, 'iridescence');
+        const targetConfig = resolveTargetConfig(config, container.targetData);
+        // Tiles sampling their own artwork need their own pattern even without overrides, and
+        // thin film is always seen from each target's own centre.
+        const ownPalette = targetConfig.iridescence.gradient.source === 'baseMap' && id !== 'background';
+        const thinFilm = targetConfig.iridescence.mode === 'thinFilm';
+        if (overrides || ownPalette || thinFilm) {
+            this.patternLayer.setVariant(id, targetConfig, {
+                ownNoise: !!overrides && 'noise' in overrides,
+                baseMapSrc: container.targetData.baseTexturePath,
+                rect: container.targetData.rect,
+                thicknessPath: container.targetData.thickness ?? null
+            });
+        } else {
+            this.patternLayer.removeVariant(id);
         }
+        container.effectSprite.texture = this.patternLayer.getPatternTexture(id);
+        container.visible = this.visible && targetConfig.iridescence.enabled;
     }
 
     async _updateSpriteTexture(sprite, texturePath) {
@@ -3179,6 +5912,11 @@ class IridescenceLayer extends foundry.canvas.layers.CanvasLayer {
 
         if (!this.visible) return;
         this.blendMode = iConfig.blendMode;
+
+        if (!this.patternLayer) return;
+        for (const [id, container] of this.targetContainers.entries()) {
+            this._syncTargetPattern(id, container, config);
+        }
     }
 
     _onAnimate(deltaTime) {
@@ -3211,6 +5949,8 @@ class IridescencePatternLayer extends foundry.canvas.layers.CanvasLayer {
         this.sourceSprite = null;
         this.iridescenceFilter = null;
         this.distortionNoiseManager = null;
+        this.variants = new Map();
+        this._gradientsHookId = null;
 
         this._needsUpdate = true;
 
@@ -3218,8 +5958,8 @@ class IridescencePatternLayer extends foundry.canvas.layers.CanvasLayer {
         this._onPanBound = this._onPan.bind(this);
     }
 
-    getPatternTexture() {
-        return this.renderTexture;
+    getPatternTexture(targetId = null) {
+        return this.variants.get(targetId)?.renderTexture ?? this.renderTexture;
     }
 
     async _draw(options) {
@@ -3246,60 +5986,137 @@ class IridescencePatternLayer extends foundry.canvas.layers.CanvasLayer {
         if (!game.modules.get('libwrapper')?.active) {
             Hooks.on('canvasPan', this._onPanBound);
         }
+        // Gradient textures are redrawn in place, so a static pattern has to be re-rendered.
+        this._gradientsHookId = Hooks.on('mapShine.gradientsUpdated', this._onPanBound);
     }
 
     _setupFilters() {
-        const iConfig = OVERLAY_CONFIG.iridescence;
-        const gConfig = iConfig.gradient;
-        const gradientData = GRADIENT_PRESETS[gConfig.name];
-
-        let initialGradientColors = [];
-        let initialNumColors = 0;
-
-        if (gradientData) {
-            initialGradientColors = gradientData.colors.flatMap(hex => hexToRgbArray(hex));
-            initialNumColors = gradientData.colors.length;
-        }
-
-        const initialUniforms = {
-            u_time: 0.0,
-            u_camera_offset: [0, 0],
-            u_view_size: [canvas.app.screen.width, canvas.app.screen.height],
-            u_speed: iConfig.speed,
-            u_scale: iConfig.scale,
-            u_intensity: iConfig.intensity,
-            u_noise_amount: iConfig.noiseAmount,
-            u_distortionMap: PIXI.Texture.EMPTY,
-            u_distortionStrength: iConfig.distortion.enabled ? iConfig.distortion.strength : 0.0,
-            u_gradientColors: initialGradientColors,
-            u_numColors: initialNumColors,
-            u_hueShift: gConfig.hueShift,
-            u_brightness: gConfig.brightness,
-            u_contrast: gConfig.contrast,
-        };
+        this.iridescenceFilter = this._createIridescenceFilter(OVERLAY_CONFIG);
+    }
 
+    _createIridescenceFilter(config, baseMapSrc) {
         try {
 
-            this.iridescenceFilter = new IridescenceFilter();
-            Object.assign(this.iridescenceFilter.uniforms, initialUniforms);
+            const filter = new IridescenceFilter();
+            Object.assign(filter.uniforms, {
+                u_time: 0.0,
+                u_camera_offset: [0, 0],
+                u_view_size: [canvas.app.screen.width, canvas.app.screen.height],
+                u_distortionMap: PIXI.Texture.EMPTY,
+            });
+            this._applyIridescenceUniforms(filter.uniforms, config, baseMapSrc);
+            const rect = canvas.dimensions.sceneRect;
+            filter.uniforms.u_target_rect = [rect.x, rect.y, rect.width, rect.height];
 
             systemStatus.update('shaders', 'iridescence', {
                 state: 'ok',
                 message: 'Compiled successfully.'
             });
+            return filter;
+        } catch (e) {
+            console.error("IridescencePatternLayer | Failed to create IridescenceFilter", e);
+            systemStatus.update('shaders', 'iridescence', {
+                state: 'error',
+                message: `Compilation failed: ${e.message}`
+            });
+            return null;
+        }
+    }
+
+    _applyIridescenceUniforms(u, config, baseMapSrc = canvas.scene?.background?.src) {
+        const iConfig = config.iridescence;
+        u.u_intensity = iConfig.intensity;
+        u.u_speed = iConfig.speed;
+        u.u_noise_amount = iConfig.noiseAmount;
+        u.u_scale = iConfig.scale;
+        u.u_distortionStrength = iConfig.distortion.enabled ? iConfig.distortion.strength : 0.0;
+
+        const gConfig = iConfig.gradient;
+        u.u_gradientLUT = GradientLibrary.resolve(gConfig, baseMapSrc);
+
+        const tConfig = iConfig.thinFilm;
+        u.u_mode = iConfig.mode === 'thinFilm' ? 1 : 0;
+        u.u_film_thickness = tConfig.thickness;
+        u.u_thickness_range = tConfig.thicknessRange;
+        u.u_film_index = tConfig.filmIndex;
+        u.u_view_strength = tConfig.viewStrength;
+        u.u_hueShift = gConfig.hueShift;
+        u.u_brightness = gConfig.brightness;
+        u.u_contrast = gConfig.contrast;
+    }
+
+    setVariant(targetId, config, { ownNoise = false, baseMapSrc, rect, thicknessPath = null } = {}) {
+        let variant = this.variants.get(targetId);
+        if (!variant) {
+            const filter = this._createIridescenceFilter(config, baseMapSrc);
+            if (!filter) return;
+            const renderer = canvas.app.renderer;
+            variant = {
+                filter,
+                renderTexture: PIXI.RenderTexture.create({ width: renderer.screen.width, height: renderer.screen.height }),
+                sprite: new PIXI.Sprite(PIXI.Texture.WHITE),
+                noiseManager: null,
+                config
+            };
+            variant.sprite.width = renderer.screen.width;
+            variant.sprite.height = renderer.screen.height;
+            variant.sprite.filters = [filter];
+            this.variants.set(targetId, variant);
+        }
+
+        if (ownNoise && !variant.noiseManager) {
+            variant.noiseManager = new NoiseTextureManager(canvas.app.renderer, 'iridescence.noise');
+        } else if (!ownNoise && variant.noiseManager) {
+            variant.noiseManager.destroy();
+            variant.noiseManager = null;
+        }
+        variant.noiseManager?.updateFromConfig(config);
+
+        variant.config = config;
+        this._applyIridescenceUniforms(variant.filter.uniforms, config, baseMapSrc);
+        if (rect) {
+            variant.filter.uniforms.u_target_rect = [rect.x, rect.y, rect.width, rect.height];
+            variant.filter.uniforms.u_target_rotation = rect.rotation || 0;
+        }
+        this._loadThicknessMap(variant, thicknessPath);
+        this._needsUpdate = true;
+    }
+
+    async _loadThicknessMap(variant, path) {
+        if (variant.thicknessPath === path) return;
+        variant.thicknessPath = path;
+        const u = variant.filter.uniforms;
+        u.u_thicknessMap = PIXI.Texture.WHITE;
+        u.u_has_thickness = 0.0;
+        if (!path) return;
+        try {
+            const texture = await foundry.canvas.loadTexture(path);
+            if (variant.thicknessPath !== path || ![...this.variants.values()].includes(variant) || !texture) return;
+            u.u_thicknessMap = texture;
+            u.u_has_thickness = 1.0;
+            this._needsUpdate = true;
         } catch (e) {
-            console.error("IridescencePatternLayer | Failed to create IridescenceFilter", e);
-            systemStatus.update('shaders', 'iridescence', {
-                state: 'error',
-                message: `Compilation failed: ${e.message}`
-            });
-            this.iridescenceFilter = null;
+            console.error(`IridescencePatternLayer | Failed to load thickness map: ${path}`, e);
         }
     }
 
+    removeVariant(targetId) {
+        const variant = this.variants.get(targetId);
+        if (!variant) return;
+        variant.noiseManager?.destroy();
+        variant.filter.destroy();
+        variant.sprite.destroy();
+        variant.renderTexture.destroy(true);
+        this.variants.delete(targetId);
+    }
+
     async _tearDown(options) {
         canvas.app.ticker.remove(this._onAnimateBound);
         Hooks.off('canvasPan', this._onPanBound);
+        Hooks.off('mapShine.gradientsUpdated', this._gradientsHookId);
+        for (const targetId of [...this.variants.keys()]) {
+            this.removeVariant(targetId);
+        }
         this.renderTexture?.destroy(true);
         this.sourceSprite?.destroy();
         this.iridescenceFilter?.destroy();
@@ -3309,25 +6126,9 @@ class IridescencePatternLayer extends foundry.canvas.layers.CanvasLayer {
     async updateFromConfig(config) {
         this.distortionNoiseManager?.updateFromConfig(config);
 
-        const iConfig = config.iridescence;
         if (!this.iridescenceFilter) return;
 
-        const u = this.iridescenceFilter.uniforms;
-        u.u_intensity = iConfig.intensity;
-        u.u_speed = iConfig.speed;
-        u.u_noise_amount = iConfig.noiseAmount;
-        u.u_scale = iConfig.scale;
-        u.u_distortionStrength = iConfig.distortion.enabled ? iConfig.distortion.strength : 0.0;
-
-        const gConfig = iConfig.gradient;
-        const gradientData = GRADIENT_PRESETS[gConfig.name];
-        if (gradientData) {
-            u.u_gradientColors = gradientData.colors.flatMap(hex => hexToRgbArray(hex));
-            u.u_numColors = gradientData.colors.length;
-        }
-        u.u_hueShift = gConfig.hueShift;
-        u.u_brightness = gConfig.brightness;
-        u.u_contrast = gConfig.contrast;
+        this._applyIridescenceUniforms(this.iridescenceFilter.uniforms, config);
 
         this._needsUpdate = true;
     }
@@ -3336,6 +6137,11 @@ class IridescencePatternLayer extends foundry.canvas.layers.CanvasLayer {
         this._needsUpdate = true;
     }
 
+    _isAnimated(iConfig) {
+        const noiseConfig = iConfig.noise || {};
+        return iConfig.enabled && (iConfig.speed !== 0 || noiseConfig.speed !== 0);
+    }
+
     _onAnimate(deltaTime) {
         if (!this.iridescenceFilter) return;
 
@@ -3343,20 +6149,19 @@ class IridescencePatternLayer extends foundry.canvas.layers.CanvasLayer {
 
         this.iridescenceFilter.uniforms.u_time = (this.iridescenceFilter.uniforms.u_time || 0) + deltaTime;
 
-        const iConfig = OVERLAY_CONFIG.iridescence;
-        const noiseConfig = iConfig.noise || {};
-        const shouldAnimate = iConfig.enabled && (iConfig.speed !== 0 || noiseConfig.speed !== 0);
+        const shouldAnimate = this._isAnimated(OVERLAY_CONFIG.iridescence) ||
+            [...this.variants.values()].some(variant => this._isAnimated(variant.config.iridescence));
 
         if (!this._needsUpdate && !shouldAnimate) return;
 
         this.distortionNoiseManager.update(deltaTime, renderer);
         this.iridescenceFilter.uniforms.u_distortionMap = this.distortionNoiseManager.getTexture() || PIXI.Texture.EMPTY;
 
+        const u = this.iridescenceFilter.uniforms;
         if (this._needsUpdate) {
             const stage = canvas.stage;
             const screen = renderer.screen;
             const topLeft = stage.toLocal({ x: 0, y: 0 });
-            const u = this.iridescenceFilter.uniforms;
             u.u_camera_offset = [topLeft.x, topLeft.y];
             u.u_view_size = [screen.width / stage.scale.x, screen.height / stage.scale.y];
         }
@@ -3366,17 +6171,42 @@ class IridescencePatternLayer extends foundry.canvas.layers.CanvasLayer {
             clear: true
         });
 
+        for (const variant of this.variants.values()) {
+            const vu = variant.filter.uniforms;
+            variant.noiseManager?.update(deltaTime, renderer);
+            vu.u_time = u.u_time;
+            vu.u_camera_offset = u.u_camera_offset;
+            vu.u_view_size = u.u_view_size;
+            vu.u_distortionMap = variant.noiseManager?.getTexture() ?? u.u_distortionMap;
+            renderer.render(variant.sprite, {
+                renderTexture: variant.renderTexture,
+                clear: true
+            });
+        }
+
         this._needsUpdate = false;
     }
 }
 
 class GroundGlowLayer extends foundry.canvas.layers.CanvasLayer {
+    static CHARGE_INTERVAL = 0.05;
+    // A half-float charge rounds back to itself once a step decays it by less than half a ULP
+    // (2^-11 relative at worst), so without float targets each step covers at least 1/512 of
+    // the half-life. That decays about 0.14% per step, enough to keep the glow fading.
+    static HALF_FLOAT_STEPS_PER_HALF_LIFE = 512;
+
     constructor() {
         super();
         this.effectSprites = new Map();
         this.maskGenerator = null;
         this.lightingMask = null;
         this.colorFilter = null;
+        this.visibilityFilter = null;
+        this.phosphorFilter = null;
+        this.chargeMesh = null;
+        this.chargeMaps = new WeakMap();
+        this._chargeElapsed = 0;
+        this._chargeType = PIXI.TYPES.HALF_FLOAT;
         this._onAnimateBound = this._onAnimate.bind(this);
         this._onResizeBound = this._onResize.bind(this);
     }
@@ -3389,6 +6219,16 @@ class GroundGlowLayer extends foundry.canvas.layers.CanvasLayer {
         this.addChild(this.container);
         this.lightingMask = new PIXI.Sprite(this.maskGenerator.getMaskTexture());
         this.container.mask = this.lightingMask;
+        this.visibilityFilter = new VisibilityMaskFilter();
+        this.filters = [this.visibilityFilter];
+        this.phosphorFilter = new PhosphorescenceFilter({ spriteMaps: this.chargeMaps });
+        const chargeGeometry = new PIXI.Geometry()
+            .addAttribute('aVertexPosition', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+            .addAttribute('aTextureCoord', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+            .addIndex([0, 1, 2, 0, 2, 3]);
+        this.chargeMesh = new PIXI.Mesh(chargeGeometry, new PhosphorChargeShader());
+        const extensions = canvas.app.renderer.context.extensions;
+        this._chargeType = extensions.colorBufferFloat && extensions.floatTextureLinear ? PIXI.TYPES.FLOAT : PIXI.TYPES.HALF_FLOAT;
         this._onResize();
         window.addEventListener('resize', this._onResizeBound);
         canvas.app.ticker.add(this._onAnimateBound, this);
@@ -3400,13 +6240,22 @@ class GroundGlowLayer extends foundry.canvas.layers.CanvasLayer {
         window.removeEventListener('resize', this._onResizeBound);
         this.maskGenerator?.destroy();
         this.lightingMask?.destroy();
+        for (const sprite of this.effectSprites.values()) {
+            sprite.targetFilter?.destroy();
+            this._destroyCharge(sprite);
+        }
+        this.phosphorFilter?.destroy();
+        this.chargeMesh?.destroy(true);
+        this.phosphorFilter = this.chargeMesh = null;
         this.container?.destroy({
             children: true,
             texture: true
         });
         this.effectSprites.clear();
         this.colorFilter?.destroy();
-        this.maskGenerator = this.container = this.lightingMask = this.colorFilter = null;
+        this.filters = null;
+        this.visibilityFilter?.destroy();
+        this.maskGenerator = this.container = this.lightingMask = this.colorFilter = this.visibilityFilter = null;
         return super._tearDown(options);
     }
 
@@ -3414,15 +6263,14 @@ class GroundGlowLayer extends foundry.canvas.layers.CanvasLayer {
         if (!this.container) return;
 
         const ggConfig = OVERLAY_CONFIG.groundGlow;
-        const illuminationAPI = game.modules.get('illuminationbuffer')?.api;
-        const isEffectivelyEnabled = OVERLAY_CONFIG.enabled && ggConfig.enabled && !!illuminationAPI;
+        const illumination = IlluminationProviders.getActive();
+        const isEffectivelyEnabled = OVERLAY_CONFIG.enabled && ggConfig.enabled && !!illumination;
 
         if (!isEffectivelyEnabled) {
             if (this.effectSprites.size > 0) {
-                for (const sprite of this.effectSprites.values()) {
-                    sprite.destroy();
+                for (const id of [...this.effectSprites.keys()]) {
+                    this._removeTarget(id);
                 }
-                this.effectSprites.clear();
             }
             this.container.visible = false;
             this.visible = false;
@@ -3437,26 +6285,99 @@ class GroundGlowLayer extends foundry.canvas.layers.CanvasLayer {
         for (const [id, targetData] of allTargets.entries()) {
             if (!targetData?.groundGlow) continue;
             validTargetIds.add(id);
-            let sprite = this.effectSprites.get(id);
-            if (!sprite) {
-                sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                sprite.filters = [this.colorFilter];
-                this.effectSprites.set(id, sprite);
-                this.container.addChild(sprite);
-            }
-            await this._updateSpriteTransform(sprite, targetData.groundGlow, targetData.rect);
+            await this._syncTarget(id, targetData);
         }
 
-        for (const [id, sprite] of this.effectSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy();
-                this.effectSprites.delete(id);
-            }
+        for (const id of [...this.effectSprites.keys()]) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
         }
 
         await this.updateFromConfig(OVERLAY_CONFIG);
     }
 
+    async updateEffectTarget(id, targetData) {
+        if (!this.container || !this.visible) return;
+        if (targetData?.groundGlow) {
+            const sprite = await this._syncTarget(id, targetData);
+            this._applyTargetConfig(sprite, OVERLAY_CONFIG);
+        } else {
+            this._removeTarget(id);
+        }
+    }
+
+    async _syncTarget(id, targetData) {
+        let sprite = this.effectSprites.get(id);
+        if (!sprite) {
+            sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            sprite.filters = [this.colorFilter];
+            this.effectSprites.set(id, sprite);
+            this.container.addChild(sprite);
+        }
+        sprite.targetData = targetData;
+        await this._updateSpriteTransform(sprite, targetData.groundGlow, targetData.rect);
+        return sprite;
+    }
+
+    _removeTarget(id) {
+        const sprite = this.effectSprites.get(id);
+        if (!sprite) return;
+        sprite.targetFilter?.destroy();
+        this._destroyCharge(sprite);
+        sprite.destroy();
+        this.effectSprites.delete(id);
+    }
+
+    /**
+     * Steps a sprite's charge texture: lit texels charge towards 1 over `chargeTime` seconds and
+     * every texel decays with the given half-life. The texture covers the target's map, not the
+     * screen, so the charge stays put while the view pans.
+     */
+    _updateCharge(sprite, elapsed, pConfig, invert) {
+        const texture = sprite.texture;
+        const aspect = texture.width / texture.height;
+        const width = Math.max(1, Math.round(aspect >= 1 ? pConfig.resolution : pConfig.resolution * aspect));
+        const height = Math.max(1, Math.round(aspect >= 1 ? pConfig.resolution / aspect : pConfig.resolution));
+
+        let charge = sprite.charge;
+        if (!charge || charge.read.width !== width || charge.read.height !== height) {
+            this._destroyCharge(sprite);
+            const create = () => PIXI.RenderTexture.create({ width, height, type: this._chargeType });
+            charge = sprite.charge = { read: create(), write: create() };
+        }
+
+        const screen = canvas.app.renderer.screen;
+        const chargeToScreen = new PIXI.Matrix(
+            texture.width, 0, 0, texture.height,
+            -sprite.anchor.x * texture.width, -sprite.anchor.y * texture.height
+        ).prepend(sprite.worldTransform).scale(1 / screen.width, 1 / screen.height);
+
+        const u = this.chargeMesh.shader.uniforms;
+        u.uPrevCharge = charge.read;
+        u.uLightMask = this.maskGenerator.getMaskTexture();
+        u.uMaskInverted = invert;
+        u.uChargeToScreen = chargeToScreen;
+        u.uChargeStep = elapsed / Math.max(pConfig.chargeTime, 0.01);
+        u.uDecay = Math.pow(0.5, elapsed / Math.max(pConfig.halfLife, 0.01));
+        this.chargeMesh.scale.set(width, height);
+        canvas.app.renderer.render(this.chargeMesh, { renderTexture: charge.write, clear: true });
+
+        [charge.read, charge.write] = [charge.write, charge.read];
+        this.chargeMaps.set(sprite, charge.read);
+    }
+
+    _getChargeInterval(halfLife) {
+        if (this._chargeType === PIXI.TYPES.FLOAT) return GroundGlowLayer.CHARGE_INTERVAL;
+        return Math.max(GroundGlowLayer.CHARGE_INTERVAL, halfLife / GroundGlowLayer.HALF_FLOAT_STEPS_PER_HALF_LIFE);
+    }
+
+    _destroyCharge(sprite) {
+        if (!sprite.charge) return;
+        sprite.charge.read.destroy(true);
+        sprite.charge.write.destroy(true);
+        sprite.charge = null;
+        this.chargeMaps.delete(sprite);
+    }
+
     async _updateSpriteTransform(sprite, texturePath, rect) {
         const currentPath = sprite.texture?.baseTexture?.resource?.src;
         if (texturePath !== currentPath) {
@@ -3489,35 +6410,77 @@ class GroundGlowLayer extends foundry.canvas.layers.CanvasLayer {
 
     _onAnimate() {
         const ggConfig = OVERLAY_CONFIG.groundGlow;
-        const illuminationAPI = game.modules.get('illuminationbuffer')?.api;
-        if (!this.visible || !this.maskGenerator || !illuminationAPI) return;
-        if (this.colorFilter) {
-            const tmConfig = ggConfig.tokenMasking;
-            const u = this.colorFilter.uniforms;
-            u.uTokenMaskEnabled = tmConfig.enabled && !!game.mapShine.tokenMaskManager;
-            if (u.uTokenMaskEnabled) {
+        const illumination = IlluminationProviders.getActive();
+        if (!this.visible || !this.maskGenerator || !illumination) return;
+        game.mapShine.visibilityMaskManager?.applyTo(this.visibilityFilter, ggConfig.fogOfWar);
+        const tmConfig = ggConfig.tokenMasking;
+        const tokenMaskEnabled = tmConfig.enabled && !!game.mapShine.tokenMaskManager;
+        for (const filter of this._getColorFilters()) {
+            const u = filter.uniforms;
+            u.uTokenMaskEnabled = tokenMaskEnabled;
+            if (tokenMaskEnabled) {
                 u.uTokenMask = game.mapShine.tokenMaskManager.getMaskTexture();
             }
         }
         this.maskGenerator.update(
             canvas.app.renderer,
-            illuminationAPI.getLightingTexture(),
+            illumination.getLightingTexture(),
             ggConfig.luminanceThreshold,
             ggConfig.softness,
             ggConfig.invert
         );
         this._updateMaskTransform();
+
+        if (ggConfig.mode !== 'phosphorescence') return;
+        this._chargeElapsed += canvas.app.ticker.deltaMS / 1000;
+        if (this._chargeElapsed < this._getChargeInterval(ggConfig.phosphorescence.halfLife)) return;
+        // Long stalls (a hidden tab) are applied as one step rather than many.
+        const elapsed = Math.min(this._chargeElapsed, 5);
+        this._chargeElapsed = 0;
+        for (const sprite of this.effectSprites.values()) {
+            if (!sprite.visible || !sprite.texture.valid) continue;
+            this._updateCharge(sprite, elapsed, ggConfig.phosphorescence, ggConfig.invert);
+        }
     }
 
     async updateFromConfig(config) {
         if (!this.container || !this.colorFilter) return;
         const ggConfig = config.groundGlow;
-        const illuminationAPI = game.modules.get('illuminationbuffer')?.api;
-        this.visible = config.enabled && ggConfig.enabled && !!illuminationAPI;
+        const illumination = IlluminationProviders.getActive();
+        this.visible = config.enabled && ggConfig.enabled && !!illumination;
         this.container.visible = this.visible;
         if (!this.visible) return;
         this.container.blendMode = ggConfig.blendMode;
-        const u = this.colorFilter.uniforms;
+        // Phosphorescence carries its own memory of the lighting, so the live mask steps aside.
+        const phosphorescent = ggConfig.mode === 'phosphorescence';
+        this.container.mask = phosphorescent ? null : this.lightingMask;
+        if (!phosphorescent) {
+            for (const sprite of this.effectSprites.values()) this._destroyCharge(sprite);
+        }
+        this._applyColorConfig(this.colorFilter, ggConfig);
+        for (const sprite of this.effectSprites.values()) {
+            this._applyTargetConfig(sprite, config);
+        }
+    }
+
+    _applyTargetConfig(sprite, config) {
+        const targetGlow = resolveTargetConfig(config, sprite.targetData).groundGlow;
+        sprite.alpha = 1.0;
+        sprite.visible = targetGlow.enabled;
+
+        if (getTargetOverrides(sprite.targetData, 'groundGlow')) {
+            sprite.targetFilter ??= new AmbientColorFilter();
+            this._applyColorConfig(sprite.targetFilter, targetGlow);
+        } else if (sprite.targetFilter) {
+            sprite.targetFilter.destroy();
+            sprite.targetFilter = null;
+        }
+        const colorFilter = sprite.targetFilter ?? this.colorFilter;
+        sprite.filters = config.groundGlow.mode === 'phosphorescence' ? [colorFilter, this.phosphorFilter] : [colorFilter];
+    }
+
+    _applyColorConfig(filter, ggConfig) {
+        const u = filter.uniforms;
         u.u_intensity = ggConfig.intensity;
         u.uBrightness = ggConfig.brightness - 1.0;
         u.uSaturation = ggConfig.saturation;
@@ -3525,9 +6488,14 @@ class GroundGlowLayer extends foundry.canvas.layers.CanvasLayer {
         u.uGamma = 1.0;
         u.uTintAmount = 0.0;
         u.uTokenMaskThreshold = ggConfig.tokenMasking.threshold;
+    }
+
+    _getColorFilters() {
+        const filters = this.colorFilter ? [this.colorFilter] : [];
         for (const sprite of this.effectSprites.values()) {
-            sprite.alpha = 1.0;
+            if (sprite.targetFilter) filters.push(sprite.targetFilter);
         }
+        return filters;
     }
 
     _onResize() {
@@ -3549,32 +6517,50 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
         this.shineSprites = new Map();
         this.bloomSprites = new Map();
         this.starburstSprites = new Map();
+        this.lightContainer = null;
+        this.lightMeshes = new Map();
+        this.specularTextures = new Map();
 
         this.shineFilter = null;
         this.thresholdFilter = null;
         this.blurFilter = null;
         this.bloomBrightnessFilter = null;
         this.chromaticAberrationFilter = null;
-        this.starburstFilter = null;
+        this.starburstRenderer = null;
+        this.spreadFilter = null;
+        this.roughnessMaps = new WeakMap();
+        this.roughnessPaths = new Map();
+
+        this.targetData = new Map();
+        this.targetFilters = new Map();
 
         this._onResizeBound = this._onResize.bind(this);
         this._onAnimateBound = this._onAnimate.bind(this);
     }
 
     async _draw(options) {
-        console.log("MetallicShineLayer | Drawing layer with OPTIMIZED container-level starburst pass.");
+        console.log("MetallicShineLayer | Drawing layer.");
         this.container = new PIXI.Container();
         this.addChild(this.container);
 
         this.shineContainer = new PIXI.Container();
         this.container.addChild(this.shineContainer);
 
+        this.lightContainer = new PIXI.Container();
+        this.container.addChild(this.lightContainer);
+
         this.bloomContainer = new PIXI.Container();
         this.container.addChild(this.bloomContainer);
 
+        // Only read back by the starburst renderer; the rays are drawn into starburstRays.
         this.starburstContainer = new PIXI.Container();
+        this.starburstContainer.renderable = false;
         this.container.addChild(this.starburstContainer);
 
+        const starburstRays = new PIXI.Container();
+        this.container.addChild(starburstRays);
+        this.starburstRenderer = new StarburstRenderer(this.starburstContainer, starburstRays);
+
         const patternLayer = canvas.layers.find(l => l instanceof ProceduralPatternLayer);
         if (!patternLayer) {
             console.error("MapShine | ProceduralPatternLayer not found. Metallic shine cannot function.");
@@ -3586,18 +6572,18 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
             this.shineFilter = new MetallicShineFilter({
                 shinePatternTexture: patternTexture,
                 boost: OVERLAY_CONFIG.baseShine.animation.globalIntensity,
+                roughnessMaps: this.roughnessMaps,
             });
             this.thresholdFilter = new ThresholdFilter();
-            this.blurFilter = new PIXI.BlurFilter();
+            this.spreadFilter = new RoughnessSpreadFilter(this.roughnessMaps);
+            this.blurFilter = new MultiResBloomFilter({ threshold: 0, brightness: 0 });
             this.bloomBrightnessFilter = new PIXI.ColorMatrixFilter();
             this.chromaticAberrationFilter = new ChromaticAberrationFilter();
-            this.starburstFilter = new StarburstFilter();
         } catch (e) {
             console.error("MapShine | Failed to create shine/bloom/starburst filters.", e);
         }
 
         this.bloomContainer.filters = [this.bloomBrightnessFilter, this.chromaticAberrationFilter].filter(f => f);
-        this.starburstContainer.filters = [this.starburstFilter].filter(f => f);
 
         window.addEventListener('resize', this._onResizeBound);
         canvas.app.ticker.add(this._onAnimateBound);
@@ -3609,6 +6595,154 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
         if (patternLayer) {
             const patternTexture = patternLayer.getPatternTexture();
             this.shineFilter.uniforms.uShinePatternMap = patternTexture;
+            for (const [id, filters] of this.targetFilters.entries()) {
+                filters.shineFilter.uniforms.uShinePatternMap = patternLayer.getPatternTexture(id);
+            }
+        }
+
+        this.starburstRenderer?.update();
+
+        const litTargets = [...this.lightMeshes.entries()].filter(([, entry]) => entry.mesh.visible);
+        if (litTargets.length) {
+            const lights = collectLightSources();
+            for (const [id, entry] of litTargets) {
+                const rect = this.targetData.get(id)?.rect;
+                if (rect) this._updateLightUniforms(entry, rect, lights);
+            }
+        }
+    }
+
+    _updateLightUniforms(entry, rect, lights) {
+        const u = entry.shader.uniforms;
+        const cx = rect.x + rect.width / 2;
+        const cy = rect.y + rect.height / 2;
+        const reach = Math.hypot(rect.width, rect.height) / 2;
+        const nearby = lights
+            .map(light => ({ light, dist: Math.hypot(light.x - cx, light.y - cy) }))
+            .filter(({ light, dist }) => dist < light.radius + reach)
+            .sort((a, b) => a.dist - b.dist)
+            .slice(0, MAX_SHINE_LIGHTS);
+        nearby.forEach(({ light }, i) => {
+            u.uLightPositions.set([light.x, light.y, light.radius], i * 3);
+            u.uLightColors.set(light.color, i * 3);
+        });
+        u.uLightCount = nearby.length;
+    }
+
+    _getTargetFilters(id) {
+        return this.targetFilters.get(id) ?? {
+            shineFilter: this.shineFilter,
+            thresholdFilter: this.thresholdFilter,
+            spreadFilter: this.spreadFilter,
+            blurFilter: this.blurFilter
+        };
+    }
+
+    _syncTargetFilters(id, targetData, config) {
+        const patternLayer = canvas.layers.find(l => l instanceof ProceduralPatternLayer);
+        const overrides = getTargetOverrides(targetData, 'baseShine');
+
+        if (!overrides) {
+            const filters = this.targetFilters.get(id);
+            if (filters) {
+                Object.values(filters).forEach(f => f.destroy());
+                this.targetFilters.delete(id);
+            }
+            patternLayer?.removeVariant(id);
+        } else {
+            const targetConfig = resolveTargetConfig(config, targetData);
+            if (!this.targetFilters.has(id)) {
+                try {
+                    this.targetFilters.set(id, {
+                        shineFilter: new MetallicShineFilter({
+                            shinePatternTexture: patternLayer?.getPatternTexture(id) ?? PIXI.Texture.EMPTY,
+                            boost: targetConfig.baseShine.animation.globalIntensity,
+                            roughnessMaps: this.roughnessMaps,
+                        }),
+                        thresholdFilter: new ThresholdFilter(),
+                        spreadFilter: new RoughnessSpreadFilter(this.roughnessMaps),
+                        blurFilter: new MultiResBloomFilter({ threshold: 0, brightness: 0 })
+                    });
+                } catch (e) {
+                    console.error(`MetallicShineLayer | Failed to create filters for target ${id}.`, e);
+                }
+            }
+            const filters = this.targetFilters.get(id);
+            if (filters) this._applyFilterConfig(filters, targetConfig.baseShine);
+
+            const needsPattern = ['patternType', 'pattern', 'noise', 'animation'].some(key => key in overrides);
+            if (needsPattern) {
+                patternLayer?.setVariant(id, targetConfig, { ownNoise: 'noise' in overrides, rect: targetData.rect });
+            } else {
+                patternLayer?.removeVariant(id);
+            }
+        }
+
+        const { shineFilter, thresholdFilter, spreadFilter, blurFilter } = this._getTargetFilters(id);
+        const bs = resolveTargetConfig(config, targetData).baseShine;
+        const showPattern = bs.enabled && bs.lighting.mode !== 'lights';
+        const shineSprite = this.shineSprites.get(id);
+        const bloomSprite = this.bloomSprites.get(id);
+        const starburstSprite = this.starburstSprites.get(id);
+        if (shineSprite) {
+            shineSprite.filters = [shineFilter];
+            shineSprite.visible = showPattern;
+        }
+        if (bloomSprite) {
+            bloomSprite.filters = [shineFilter, thresholdFilter, spreadFilter, blurFilter];
+            bloomSprite.visible = showPattern;
+        }
+        if (starburstSprite) {
+            starburstSprite.filters = [shineFilter];
+            starburstSprite.visible = showPattern;
+        }
+
+        const lightEntry = this.lightMeshes.get(id);
+        if (lightEntry) {
+            const lighting = bs.lighting;
+            const u = lightEntry.shader.uniforms;
+            u.uIntensity = lighting.intensity;
+            u.uShininess = lighting.shininess;
+            u.uLightHeight = lighting.lightHeight;
+            u.uNormalStrength = lighting.normalStrength;
+            u.uFlipGreen = lighting.flipGreen;
+            u.uSmoothSharpness = bs.roughness.smoothSharpness;
+            u.uRoughSharpness = bs.roughness.roughSharpness;
+            u.uRoughnessCurve = bs.roughness.curve;
+            const showLights = bs.enabled && lighting.mode !== 'pattern';
+            lightEntry.mesh.visible = showLights;
+            lightEntry.bloomMesh.visible = showLights;
+            lightEntry.bloomMesh.filters = [thresholdFilter, blurFilter];
+        }
+    }
+
+    _applyFilterConfig(filters, bs) {
+        const bloomConfig = bs.shineBloom;
+        const roughness = bs.roughness;
+        if (filters.shineFilter) {
+            const u = filters.shineFilter.uniforms;
+            u.uBoost = bs.animation.globalIntensity;
+            u.uSmoothSharpness = roughness.smoothSharpness;
+            u.uRoughSharpness = roughness.roughSharpness;
+            u.uRoughnessCurve = roughness.curve;
+        }
+        if (filters.spreadFilter) {
+            filters.spreadFilter.enabled = bloomConfig.enabled && roughness.bloomSpread > 0;
+            filters.spreadFilter.padding = roughness.bloomSpread;
+            filters.spreadFilter.uniforms.uSpread = roughness.bloomSpread;
+            filters.spreadFilter.uniforms.uRoughnessCurve = roughness.curve;
+        }
+        if (filters.thresholdFilter) {
+            filters.thresholdFilter.enabled = bloomConfig.enabled;
+            filters.thresholdFilter.threshold = bloomConfig.threshold;
+        }
+        if (filters.blurFilter) {
+            filters.blurFilter.enabled = bloomConfig.enabled;
+            filters.blurFilter.blur = bloomConfig.blur;
+            filters.blurFilter.levels = bloomConfig.quality;
+            filters.blurFilter.resolutionScale = bloomConfig.resolutionScale;
+            // Room for the glow to spread past the sprite; the smallest level's texels set the reach.
+            filters.blurFilter.padding = Math.min(512, Math.pow(2, bloomConfig.quality) * (1 + bloomConfig.blur * 0.1) / bloomConfig.resolutionScale);
         }
     }
 
@@ -3622,76 +6756,218 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
         for (const [id, targetData] of allTargets.entries()) {
             if (!targetData?.specular) continue;
             validTargetIds.add(id);
+            await this._syncTarget(id, targetData);
+        }
 
-            let shineSprite = this.shineSprites.get(id);
-            if (!shineSprite) {
-                shineSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                shineSprite.filters = [this.shineFilter];
-                this.shineSprites.set(id, shineSprite);
-                this.shineContainer.addChild(shineSprite);
-            }
-            await this._updateSpriteTexture(shineSprite, targetData.specular);
-            this._updateSpriteTransform(shineSprite, targetData.rect);
-
-            let bloomSprite = this.bloomSprites.get(id);
-            if (!bloomSprite) {
-                bloomSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                bloomSprite.filters = [this.shineFilter, this.thresholdFilter, this.blurFilter];
-                this.bloomSprites.set(id, bloomSprite);
-                this.bloomContainer.addChild(bloomSprite);
-            }
-            await this._updateSpriteTexture(bloomSprite, targetData.specular);
-            this._updateSpriteTransform(bloomSprite, targetData.rect);
-
-            let starburstSprite = this.starburstSprites.get(id);
-            if (!starburstSprite) {
-                starburstSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                starburstSprite.filters = [this.shineFilter];
-                this.starburstSprites.set(id, starburstSprite);
-                this.starburstContainer.addChild(starburstSprite);
-            }
-            await this._updateSpriteTexture(starburstSprite, targetData.specular);
-            this._updateSpriteTransform(starburstSprite, targetData.rect);
-        }
-
-        for (const [id, sprite] of this.shineSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy({
-                    children: true,
-                    texture: true
-                });
-                this.shineSprites.delete(id);
-            }
+        for (const id of new Set([...this.targetData.keys(), ...this.shineSprites.keys()])) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
         }
-        for (const [id, sprite] of this.bloomSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy({
-                    children: true,
-                    texture: true
-                });
-                this.bloomSprites.delete(id);
+    }
+
+    async updateEffectTarget(id, targetData) {
+        if (!this.visible) return;
+        if (targetData?.specular) {
+            await this._syncTarget(id, targetData);
+        } else {
+            this._removeTarget(id);
+        }
+    }
+
+    async _syncTarget(id, targetData) {
+        const previousSpecular = this.specularTextures.get(id);
+        const specularTexture = await this._loadSpecularTexture(id, targetData);
+
+        let shineSprite = this.shineSprites.get(id);
+        if (!shineSprite) {
+            shineSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            shineSprite.filters = [this.shineFilter];
+            this.shineSprites.set(id, shineSprite);
+            this.shineContainer.addChild(shineSprite);
+        }
+        shineSprite.texture = specularTexture;
+        this._updateSpriteTransform(shineSprite, targetData.rect);
+
+        let bloomSprite = this.bloomSprites.get(id);
+        if (!bloomSprite) {
+            bloomSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            bloomSprite.filters = [this.shineFilter, this.thresholdFilter, this.spreadFilter, this.blurFilter];
+            this.bloomSprites.set(id, bloomSprite);
+            this.bloomContainer.addChild(bloomSprite);
+        }
+        bloomSprite.texture = specularTexture;
+        this._updateSpriteTransform(bloomSprite, targetData.rect);
+
+        let starburstSprite = this.starburstSprites.get(id);
+        if (!starburstSprite) {
+            starburstSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            starburstSprite.filters = [this.shineFilter];
+            this.starburstSprites.set(id, starburstSprite);
+            this.starburstContainer.addChild(starburstSprite);
+        }
+        starburstSprite.texture = specularTexture;
+        this._updateSpriteTransform(starburstSprite, targetData.rect);
+
+        if (previousSpecular?.baked && previousSpecular.texture !== specularTexture) {
+            previousSpecular.texture.destroy(true);
+        }
+
+        const roughnessTexture = await this._loadRoughnessTexture(id, targetData);
+        for (const sprite of [shineSprite, bloomSprite, starburstSprite]) {
+            if (roughnessTexture) this.roughnessMaps.set(sprite, roughnessTexture);
+            else this.roughnessMaps.delete(sprite);
+        }
+
+        await this._syncLightMesh(id, targetData, shineSprite.texture, roughnessTexture);
+
+        this.targetData.set(id, targetData);
+        this._syncTargetFilters(id, targetData, OVERLAY_CONFIG);
+    }
+
+    async _loadRoughnessTexture(id, targetData) {
+        const path = targetData.roughness ?? null;
+        const cached = this.roughnessPaths.get(id);
+        if (cached?.path === path) return cached.texture;
+        let texture = null;
+        if (path) {
+            try {
+                texture = await foundry.canvas.loadTexture(path);
+            } catch (e) {
+                console.warn(`MetallicShineLayer | Could not load roughness map "${path}".`, e);
             }
         }
-        for (const [id, sprite] of this.starburstSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy({
-                    children: true,
-                    texture: true
-                });
-                this.starburstSprites.delete(id);
+        this.roughnessPaths.set(id, { path, texture });
+        return texture;
+    }
+
+    async _syncLightMesh(id, targetData, specularTexture, roughnessTexture = null) {
+        let entry = this.lightMeshes.get(id);
+        if (!entry) {
+            try {
+                const shader = new NormalLightingShader();
+                const geometry = new PIXI.Geometry()
+                    .addAttribute('aVertexPosition', new Float32Array(8), 2)
+                    .addAttribute('aTextureCoord', new Float32Array([0, 0, 1, 0, 1, 1, 0, 1]), 2)
+                    .addIndex([0, 1, 2, 0, 2, 3]);
+                entry = {
+                    shader,
+                    geometry,
+                    mesh: new PIXI.Mesh(geometry, shader),
+                    bloomMesh: new PIXI.Mesh(geometry, shader),
+                    normalPath: null
+                };
+            } catch (e) {
+                console.error(`MetallicShineLayer | Failed to create light response shader for target ${id}.`, e);
+                return;
+            }
+            entry.mesh.blendMode = PIXI.BLEND_MODES.ADD;
+            this.lightMeshes.set(id, entry);
+            this.lightContainer.addChild(entry.mesh);
+            this.bloomContainer.addChild(entry.bloomMesh);
+        }
+
+        const u = entry.shader.uniforms;
+        u.uSpecularMap = specularTexture;
+        u.uRoughnessMap = roughnessTexture ?? PIXI.Texture.EMPTY;
+        u.uHasRoughnessMap = !!roughnessTexture;
+        if (targetData.normal !== entry.normalPath) {
+            entry.normalPath = targetData.normal ?? null;
+            let normalTexture = null;
+            if (entry.normalPath) {
+                try {
+                    normalTexture = await foundry.canvas.loadTexture(entry.normalPath);
+                } catch (e) {
+                    console.warn(`MetallicShineLayer | Could not load normal map "${entry.normalPath}".`, e);
+                }
             }
+            u.uNormalMap = normalTexture ?? PIXI.Texture.EMPTY;
+            u.uHasNormalMap = !!normalTexture;
+        }
+
+        const rect = targetData.rect;
+        const cx = rect.x + rect.width / 2;
+        const cy = rect.y + rect.height / 2;
+        const cos = Math.cos(rect.rotation || 0);
+        const sin = Math.sin(rect.rotation || 0);
+        const vertices = [[-1, -1], [1, -1], [1, 1], [-1, 1]].flatMap(([sx, sy]) => {
+            const dx = sx * rect.width / 2;
+            const dy = sy * rect.height / 2;
+            return [cx + dx * cos - dy * sin, cy + dx * sin + dy * cos];
+        });
+        entry.geometry.getBuffer('aVertexPosition').update(new Float32Array(vertices));
+        u.uRotation = rect.rotation || 0;
+    }
+
+    _destroyLightMesh(id) {
+        const entry = this.lightMeshes.get(id);
+        if (!entry) return;
+        entry.mesh.destroy();
+        entry.bloomMesh.destroy();
+        entry.geometry.destroy();
+        entry.shader.destroy();
+        this.lightMeshes.delete(id);
+    }
+
+    _removeTarget(id) {
+        if (this.targetData.delete(id)) {
+            this._syncTargetFilters(id, null, OVERLAY_CONFIG);
+        }
+        this._destroyLightMesh(id);
+        const specular = this.specularTextures.get(id);
+        if (specular?.baked) specular.texture.destroy(true);
+        this.specularTextures.delete(id);
+        this.roughnessPaths.delete(id);
+        for (const sprites of [this.shineSprites, this.bloomSprites, this.starburstSprites]) {
+            const sprite = sprites.get(id);
+            if (!sprite) continue;
+            sprite.destroy({
+                children: true,
+                texture: true
+            });
+            sprites.delete(id);
         }
     }
 
-    async _updateSpriteTexture(sprite, texturePath) {
-        const currentPath = sprite.texture?.baseTexture?.resource?.src;
-        if (texturePath !== currentPath) {
+    /**
+     * The specular map as the shine sprites should see it. With a _MetalColor map the two are
+     * multiplied into one texture, so the shine, bloom and starburst passes all pick up the tint.
+     */
+    async _loadSpecularTexture(id, targetData) {
+        const key = `${targetData.specular}|${targetData.metalColor ?? ''}`;
+        const cached = this.specularTextures.get(id);
+        if (cached?.key === key) return cached.texture;
+
+        let texture = PIXI.Texture.EMPTY;
+        let baked = false;
+        try {
+            texture = await foundry.canvas.loadTexture(targetData.specular);
+        } catch (e) {
+            console.warn(`MetallicShineLayer | Could not load specular map "${targetData.specular}".`, e);
+        }
+        if (targetData.metalColor && texture?.valid) {
             try {
-                sprite.texture = await foundry.canvas.loadTexture(texturePath);
+                const metalColor = await foundry.canvas.loadTexture(targetData.metalColor);
+                texture = this._bakeMetalColor(texture, metalColor);
+                baked = true;
             } catch (e) {
-                sprite.texture = PIXI.Texture.EMPTY;
+                console.warn(`MetallicShineLayer | Could not load metal colour map "${targetData.metalColor}".`, e);
             }
         }
+        texture ??= PIXI.Texture.EMPTY;
+        this.specularTextures.set(id, { key, texture, baked });
+        return texture;
+    }
+
+    _bakeMetalColor(specular, metalColor) {
+        const renderTexture = PIXI.RenderTexture.create({ width: specular.width, height: specular.height });
+        const container = new PIXI.Container();
+        const tint = new PIXI.Sprite(metalColor);
+        tint.width = specular.width;
+        tint.height = specular.height;
+        tint.blendMode = PIXI.BLEND_MODES.MULTIPLY;
+        container.addChild(new PIXI.Sprite(specular), tint);
+        canvas.app.renderer.render(container, { renderTexture, clear: true });
+        container.destroy({ children: true });
+        return renderTexture;
     }
 
     _updateSpriteTransform(sprite, rect) {
@@ -3711,18 +6987,17 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
 
         if (this.shineContainer) this.shineContainer.blendMode = PIXI.BLEND_MODES.ADD;
         if (this.bloomContainer) this.bloomContainer.blendMode = bs.compositing.layerBlendMode;
-        if (this.shineFilter) this.shineFilter.uniforms.uBoost = bs.animation.globalIntensity;
+        this._applyFilterConfig({
+            shineFilter: this.shineFilter,
+            thresholdFilter: this.thresholdFilter,
+            spreadFilter: this.spreadFilter,
+            blurFilter: this.blurFilter
+        }, bs);
+        for (const [id, targetData] of this.targetData.entries()) {
+            this._syncTargetFilters(id, targetData, config);
+        }
 
         const bloomConfig = bs.shineBloom;
-        if (this.thresholdFilter) {
-            this.thresholdFilter.enabled = bloomConfig.enabled;
-            this.thresholdFilter.threshold = bloomConfig.threshold;
-        }
-        if (this.blurFilter) {
-            this.blurFilter.enabled = bloomConfig.enabled;
-            this.blurFilter.strength = bloomConfig.blur;
-            this.blurFilter.quality = bloomConfig.quality;
-        }
         if (this.bloomBrightnessFilter) {
             this.bloomBrightnessFilter.brightness(bloomConfig.brightness, false);
         }
@@ -3735,21 +7010,7 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
             this.bloomContainer.visible = bloomConfig.enabled;
         }
 
-        const starburstConfig = bs.starburst;
-        if (this.starburstContainer) {
-            this.starburstContainer.visible = starburstConfig.enabled;
-            this.starburstContainer.blendMode = starburstConfig.blendMode;
-        }
-        if (this.starburstFilter) {
-            this.starburstFilter.enabled = starburstConfig.enabled;
-            const u = this.starburstFilter.uniforms;
-            u.u_threshold = starburstConfig.threshold;
-            u.u_intensity = starburstConfig.intensity;
-            u.u_angle_rad = starburstConfig.angle * (Math.PI / 180.0);
-            u.u_points = Math.round(starburstConfig.points);
-            u.u_size = starburstConfig.size;
-            u.u_falloff = starburstConfig.falloff;
-        }
+        this.starburstRenderer?.updateFromConfig(bs.starburst);
 
         ScreenEffectsManager.updateAllFiltersFromConfig(config);
     }
@@ -3758,10 +7019,6 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
         if (game.mapShine?.effectTargetManager?.targets) {
             this.updateEffectTargets(game.mapShine.effectTargetManager.targets);
         }
-        if (this.starburstFilter) {
-            const renderer = canvas.app.renderer;
-            this.starburstFilter.uniforms.u_texel_size = [1.0 / renderer.screen.width, 1.0 / renderer.screen.height];
-        }
     }
 
     async _tearDown(options) {
@@ -3769,11 +7026,28 @@ class MetallicShineLayer extends foundry.canvas.layers.CanvasLayer {
         canvas.app.ticker.remove(this._onAnimateBound);
         ScreenEffectsManager.tearDown();
         window.removeEventListener('resize', this._onResizeBound);
+        this.starburstRenderer?.destroy();
+        this.starburstRenderer = null;
 
         this.container?.destroy({
             children: true,
             texture: true
         });
+        for (const filters of this.targetFilters.values()) {
+            Object.values(filters).forEach(f => f.destroy());
+        }
+        this.targetFilters.clear();
+        for (const { geometry, shader } of this.lightMeshes.values()) {
+            geometry.destroy();
+            shader.destroy();
+        }
+        this.lightMeshes.clear();
+        for (const { texture, baked } of this.specularTextures.values()) {
+            if (baked) texture.destroy(true);
+        }
+        this.specularTextures.clear();
+        this.roughnessPaths.clear();
+        this.targetData.clear();
         super._tearDown(options);
         this.shineSprites.clear();
         this.bloomSprites.clear();
@@ -3910,28 +7184,46 @@ class CloudShadowsLayer extends foundry.canvas.layers.CanvasLayer {
         for (const [id, targetData] of allTargets.entries()) {
             if (!targetData?.outdoors) continue;
             validTargetIds.add(id);
-            let sprite = this.maskSprites.get(id);
-            if (!sprite) {
-                sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                this.maskSprites.set(id, sprite);
-                this.sourceContainer.addChild(sprite);
-            }
-            await this._updateSpriteTransform(sprite, targetData.outdoors, targetData.rect);
+            await this._syncTarget(id, targetData);
         }
 
-        for (const [id, sprite] of this.maskSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy({
-                    children: true,
-                    texture: true
-                });
-                this.maskSprites.delete(id);
-            }
+        for (const id of [...this.maskSprites.keys()]) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
         }
 
         this._needsMaskUpdate = true;
     }
 
+    async updateEffectTarget(id, targetData) {
+        if (!this.sourceContainer) return;
+        if (targetData?.outdoors) {
+            await this._syncTarget(id, targetData);
+        } else {
+            this._removeTarget(id);
+        }
+        this._needsMaskUpdate = true;
+    }
+
+    async _syncTarget(id, targetData) {
+        let sprite = this.maskSprites.get(id);
+        if (!sprite) {
+            sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            this.maskSprites.set(id, sprite);
+            this.sourceContainer.addChild(sprite);
+        }
+        await this._updateSpriteTransform(sprite, targetData.outdoors, targetData.rect);
+    }
+
+    _removeTarget(id) {
+        const sprite = this.maskSprites.get(id);
+        if (!sprite) return;
+        sprite.destroy({
+            children: true,
+            texture: true
+        });
+        this.maskSprites.delete(id);
+    }
+
     async _updateSpriteTransform(sprite, texturePath, rect) {
         const currentPath = sprite.texture?.baseTexture?.resource?.src;
         if (texturePath !== currentPath) {
@@ -4038,6 +7330,7 @@ class DustMotesLayer extends foundry.canvas.layers.CanvasLayer {
         this.blurredMaskTexture = null;
         this.maskSprite = null;
         this.postBlurFilter = null;
+        this.visibilityFilter = null;
 
         this._needsMaskUpdate = true;
 
@@ -4078,6 +7371,8 @@ class DustMotesLayer extends foundry.canvas.layers.CanvasLayer {
         this.moteEffectSprite.height = renderer.screen.height;
         this.moteEffectSprite.filters = [this.moteFilter, this.postBlurFilter].filter(f => f);
         this.addChild(this.moteEffectSprite);
+        this.visibilityFilter = new VisibilityMaskFilter();
+        this.filters = [this.visibilityFilter];
 
         canvas.app.ticker.add(this._onAnimateBound);
         window.addEventListener('resize', this._onResizeBound);
@@ -4097,6 +7392,7 @@ class DustMotesLayer extends foundry.canvas.layers.CanvasLayer {
             if (this.moteFilter) this.moteFilter.uniforms.uDustMask = PIXI.Texture.EMPTY;
             return;
         }
+        game.mapShine.visibilityMaskManager?.applyTo(this.visibilityFilter, OVERLAY_CONFIG.dustMotes.fogOfWar);
 
         if (this._needsMaskUpdate) {
             canvas.app.renderer.render(this.dustSourceContainer, {
@@ -4150,24 +7446,42 @@ class DustMotesLayer extends foundry.canvas.layers.CanvasLayer {
         for (const [id, targetData] of allTargets.entries()) {
             if (!targetData?.dust) continue;
             validTargetIds.add(id);
-            let sprite = this.dustSprites.get(id);
-            if (!sprite) {
-                sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                this.dustSprites.set(id, sprite);
-                this.dustSourceContainer.addChild(sprite);
-            }
-            await this._updateSpriteTransform(sprite, targetData.dust, targetData.rect);
+            await this._syncTarget(id, targetData);
         }
 
-        for (const [id, sprite] of this.dustSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy({ children: true, texture: true });
-                this.dustSprites.delete(id);
-            }
+        for (const id of [...this.dustSprites.keys()]) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
+        }
+        this._needsMaskUpdate = true;
+    }
+
+    async updateEffectTarget(id, targetData) {
+        if (!this.dustSourceContainer) return;
+        if (targetData?.dust) {
+            await this._syncTarget(id, targetData);
+        } else {
+            this._removeTarget(id);
         }
         this._needsMaskUpdate = true;
     }
 
+    async _syncTarget(id, targetData) {
+        let sprite = this.dustSprites.get(id);
+        if (!sprite) {
+            sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            this.dustSprites.set(id, sprite);
+            this.dustSourceContainer.addChild(sprite);
+        }
+        await this._updateSpriteTransform(sprite, targetData.dust, targetData.rect);
+    }
+
+    _removeTarget(id) {
+        const sprite = this.dustSprites.get(id);
+        if (!sprite) return;
+        sprite.destroy({ children: true, texture: true });
+        this.dustSprites.delete(id);
+    }
+
     async _updateSpriteTransform(sprite, texturePath, rect) {
         const currentPath = sprite.texture?.baseTexture?.resource?.src;
         if (texturePath !== currentPath) {
@@ -4293,6 +7607,9 @@ class DustMotesLayer extends foundry.canvas.layers.CanvasLayer {
         this.maskSprite?.destroy();
         this.blurredMaskTexture?.destroy(true);
         this.postBlurFilter?.destroy();
+        this.filters = null;
+        this.visibilityFilter?.destroy();
+        this.visibilityFilter = null;
 
         super._tearDown(options);
     }
@@ -4303,6 +7620,8 @@ class AmbientLayer extends foundry.canvas.layers.CanvasLayer {
         super();
         this.effectSprites = new Map();
         this.colorFilter = null;
+        this.visibilityFilter = null;
+        this.animMaps = new WeakMap();
 
         this._onAnimateBound = this._onAnimate.bind(this);
         this._onResizeBound = this._onResize.bind(this);
@@ -4311,7 +7630,9 @@ class AmbientLayer extends foundry.canvas.layers.CanvasLayer {
     async _draw(options) {
         console.log("AmbientLayer | Drawing layer.");
 
-        this.colorFilter = new AmbientColorFilter();
+        this.colorFilter = new AmbientColorFilter({ spriteMaps: this.animMaps });
+        this.visibilityFilter = new VisibilityMaskFilter();
+        this.filters = [this.visibilityFilter];
 
         this.blendMode = PIXI.BLEND_MODES.NORMAL;
 
@@ -4326,6 +7647,12 @@ class AmbientLayer extends foundry.canvas.layers.CanvasLayer {
         window.removeEventListener('resize', this._onResizeBound);
 
         this.colorFilter?.destroy();
+        this.filters = null;
+        this.visibilityFilter?.destroy();
+        this.visibilityFilter = null;
+        for (const sprite of this.effectSprites.values()) {
+            sprite.targetFilter?.destroy();
+        }
 
         super._tearDown(options); 
         this.effectSprites.clear();
@@ -4334,17 +7661,31 @@ class AmbientLayer extends foundry.canvas.layers.CanvasLayer {
     _onAnimate() {
         if (!this.visible) return;
 
-        if (this.colorFilter) {
-            const aConfig = OVERLAY_CONFIG.ambient;
-            const tmConfig = aConfig.tokenMasking;
-            const u = this.colorFilter.uniforms;
-            u.uTokenMaskEnabled = tmConfig.enabled && !!game.mapShine.tokenMaskManager;
-            if (u.uTokenMaskEnabled) {
+        const aConfig = OVERLAY_CONFIG.ambient;
+        if (this.visibilityFilter) {
+            game.mapShine.visibilityMaskManager?.applyTo(this.visibilityFilter, aConfig.fogOfWar);
+        }
+        const tmConfig = aConfig.tokenMasking;
+        const tokenMaskEnabled = tmConfig.enabled && !!game.mapShine.tokenMaskManager;
+        const elapsed = canvas.app.ticker.deltaMS / 1000;
+        for (const filter of this._getColorFilters()) {
+            const u = filter.uniforms;
+            u.uTime = (u.uTime + elapsed) % 3600;
+            u.uTokenMaskEnabled = tokenMaskEnabled;
+            if (tokenMaskEnabled) {
                 u.uTokenMask = game.mapShine.tokenMaskManager.getMaskTexture();
             }
         }
     }
 
+    _getColorFilters() {
+        const filters = this.colorFilter ? [this.colorFilter] : [];
+        for (const sprite of this.effectSprites.values()) {
+            if (sprite.targetFilter) filters.push(sprite.targetFilter);
+        }
+        return filters;
+    }
+
     _onResize() {
 
         if (game.mapShine?.effectTargetManager?.targets) {
@@ -4368,25 +7709,63 @@ class AmbientLayer extends foundry.canvas.layers.CanvasLayer {
         for (const [id, targetData] of allTargets.entries()) {
             if (!targetData?.ambient) continue;
             validTargetIds.add(id);
-            let effectSprite = this.effectSprites.get(id);
-            if (!effectSprite) {
-                effectSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                if (this.colorFilter) {
-                    effectSprite.filters = [this.colorFilter];
-                }
-                this.effectSprites.set(id, effectSprite);
-                this.addChild(effectSprite);
+            await this._syncTarget(id, targetData);
+        }
+
+        for (const id of [...this.effectSprites.keys()]) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
+        }
+        await this.updateFromConfig(OVERLAY_CONFIG);
+    }
+
+    async updateEffectTarget(id, targetData) {
+        if (!this.visible) return;
+        if (targetData?.ambient) {
+            const sprite = await this._syncTarget(id, targetData);
+            this._applyTargetConfig(sprite, OVERLAY_CONFIG);
+        } else {
+            this._removeTarget(id);
+        }
+    }
+
+    async _syncTarget(id, targetData) {
+        let effectSprite = this.effectSprites.get(id);
+        if (!effectSprite) {
+            effectSprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            if (this.colorFilter) {
+                effectSprite.filters = [this.colorFilter];
             }
-            await this._updateSpriteTransform(effectSprite, targetData.ambient, targetData.rect);
+            this.effectSprites.set(id, effectSprite);
+            this.addChild(effectSprite);
         }
+        effectSprite.targetData = targetData;
+        await this._updateSpriteTransform(effectSprite, targetData.ambient, targetData.rect);
+        await this._updateAnimMap(effectSprite, targetData.ambientAnim ?? null);
+        return effectSprite;
+    }
 
-        for (const [id, sprite] of this.effectSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy();
-                this.effectSprites.delete(id);
+    async _updateAnimMap(sprite, path) {
+        if (sprite.animMapPath === path) return;
+        sprite.animMapPath = path;
+        let texture = null;
+        if (path) {
+            try {
+                texture = await foundry.canvas.loadTexture(path);
+            } catch (e) {
+                console.warn(`AmbientLayer | Could not load animation map "${path}".`, e);
             }
         }
-        await this.updateFromConfig(OVERLAY_CONFIG);
+        if (sprite.animMapPath !== path || sprite.destroyed) return;
+        if (texture) this.animMaps.set(sprite, texture);
+        else this.animMaps.delete(sprite);
+    }
+
+    _removeTarget(id) {
+        const sprite = this.effectSprites.get(id);
+        if (!sprite) return;
+        sprite.targetFilter?.destroy();
+        sprite.destroy();
+        this.effectSprites.delete(id);
     }
 
     async _updateSpriteTransform(sprite, texturePath, rect) {
@@ -4408,7 +7787,6 @@ class AmbientLayer extends foundry.canvas.layers.CanvasLayer {
 
     async updateFromConfig(config) {
         const aConfig = config.ambient;
-        const ccConfig = aConfig.colorCorrection;
 
         this.visible = config.enabled && aConfig.enabled;
 
@@ -4416,32 +7794,59 @@ class AmbientLayer extends foundry.canvas.layers.CanvasLayer {
         this.alpha = 1.0;
 
         for (const sprite of this.effectSprites.values()) {
-            sprite.blendMode = aConfig.blendMode;
-            sprite.alpha = 1.0;
+            this._applyTargetConfig(sprite, config);
         }
 
         if (this.colorFilter) {
-            this.colorFilter.enabled = ccConfig.enabled;
-            const u = this.colorFilter.uniforms;
-            u.uSaturation = ccConfig.saturation;
-            u.uBrightness = ccConfig.brightness;
-            u.uContrast = ccConfig.contrast;
-            u.uGamma = ccConfig.gamma;
-            u.uTintColor = hexToRgbArray(ccConfig.tint.color);
-            u.uTintAmount = ccConfig.tint.amount;
-            u.u_intensity = aConfig.intensity;
-            u.uTokenMaskThreshold = aConfig.tokenMasking.threshold;
+            this._applyColorConfig(this.colorFilter, aConfig);
         }
 
         const mConfig = aConfig.masking;
-        const illuminationAPI = game.modules.get('illuminationbuffer')?.api;
-        const shouldBeMasked = this.visible && mConfig.enabled && !!illuminationAPI;
+        const illumination = IlluminationProviders.getActive();
+        const shouldBeMasked = this.visible && mConfig.enabled && !!illumination;
         if (!shouldBeMasked && this.mask) {
             this.mask = null;
         } else if (shouldBeMasked && !this.mask) {
 
         }
     }
+
+    _applyTargetConfig(sprite, config) {
+        const targetAmbient = resolveTargetConfig(config, sprite.targetData).ambient;
+        sprite.blendMode = targetAmbient.blendMode;
+        sprite.alpha = 1.0;
+        sprite.visible = targetAmbient.enabled;
+
+        if (getTargetOverrides(sprite.targetData, 'ambient')) {
+            sprite.targetFilter ??= new AmbientColorFilter({ spriteMaps: this.animMaps });
+            sprite.filters = [sprite.targetFilter];
+            this._applyColorConfig(sprite.targetFilter, targetAmbient);
+        } else if (sprite.targetFilter) {
+            sprite.targetFilter.destroy();
+            sprite.targetFilter = null;
+            sprite.filters = this.colorFilter ? [this.colorFilter] : null;
+        }
+    }
+
+    _applyColorConfig(filter, aConfig) {
+        const ccConfig = aConfig.colorCorrection;
+        const animConfig = aConfig.animation;
+        const animated = animConfig.mode !== 'none' && animConfig.strength > 0;
+        filter.enabled = ccConfig.enabled || animated;
+        const u = filter.uniforms;
+        u.uColorCorrection = ccConfig.enabled;
+        u.uAnimMode = animated ? AMBIENT_ANIMATION_MODES.indexOf(animConfig.mode) : 0;
+        u.uAnimSpeed = animConfig.speed;
+        u.uAnimStrength = animConfig.strength;
+        u.uSaturation = ccConfig.saturation;
+        u.uBrightness = ccConfig.brightness;
+        u.uContrast = ccConfig.contrast;
+        u.uGamma = ccConfig.gamma;
+        u.uTintColor = hexToRgbArray(ccConfig.tint.color);
+        u.uTintAmount = ccConfig.tint.amount;
+        u.u_intensity = aConfig.intensity;
+        u.uTokenMaskThreshold = aConfig.tokenMasking.threshold;
+    }
 }
 
 class HeatDistortionLayer extends foundry.canvas.layers.CanvasLayer {
@@ -4450,8 +7855,9 @@ class HeatDistortionLayer extends foundry.canvas.layers.CanvasLayer {
         this.heatSourceContainer = new PIXI.Container();
         this.addChild(this.heatSourceContainer);
         this.combinedMaskTexture = null;
-        this.noiseManager = null;
         this.heatSprites = new Map();
+        this._time = 0;
+        this._riseOffset = { x: 0, y: 0 };
 
         this._needsMaskUpdate = true;
 
@@ -4470,8 +7876,6 @@ class HeatDistortionLayer extends foundry.canvas.layers.CanvasLayer {
             height: renderer.screen.height
         });
 
-        this.noiseManager = new NoiseTextureManager(renderer, 'heatDistortion.noise');
-
         canvas.app.ticker.add(this._onAnimateBound);
         window.addEventListener('resize', this._onResizeBound);
         if (!game.modules.get('libwrapper')?.active) {
@@ -4492,23 +7896,41 @@ class HeatDistortionLayer extends foundry.canvas.layers.CanvasLayer {
         for (const [id, targetData] of allTargets.entries()) {
             if (!targetData?.heat) continue;
             validTargetIds.add(id);
-            let sprite = this.heatSprites.get(id);
-            if (!sprite) {
-                sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
-                this.heatSprites.set(id, sprite);
-                this.heatSourceContainer.addChild(sprite);
-            }
-            await this._updateSpriteTransform(sprite, targetData.heat, targetData.rect);
+            await this._syncTarget(id, targetData);
         }
-        for (const [id, sprite] of this.heatSprites.entries()) {
-            if (!validTargetIds.has(id)) {
-                sprite.destroy();
-                this.heatSprites.delete(id);
-            }
+        for (const id of [...this.heatSprites.keys()]) {
+            if (!validTargetIds.has(id)) this._removeTarget(id);
         }
         this._needsMaskUpdate = true;
     }
 
+    async updateEffectTarget(id, targetData) {
+        if (!this.heatSourceContainer) return;
+        if (targetData?.heat) {
+            await this._syncTarget(id, targetData);
+        } else {
+            this._removeTarget(id);
+        }
+        this._needsMaskUpdate = true;
+    }
+
+    async _syncTarget(id, targetData) {
+        let sprite = this.heatSprites.get(id);
+        if (!sprite) {
+            sprite = new PIXI.Sprite(PIXI.Texture.EMPTY);
+            this.heatSprites.set(id, sprite);
+            this.heatSourceContainer.addChild(sprite);
+        }
+        await this._updateSpriteTransform(sprite, targetData.heat, targetData.rect);
+    }
+
+    _removeTarget(id) {
+        const sprite = this.heatSprites.get(id);
+        if (!sprite) return;
+        sprite.destroy();
+        this.heatSprites.delete(id);
+    }
+
     async _updateSpriteTransform(sprite, texturePath, rect) {
         const currentPath = sprite.texture?.baseTexture?.resource?.src;
         if (texturePath !== currentPath) {
@@ -4552,23 +7974,46 @@ class HeatDistortionLayer extends foundry.canvas.layers.CanvasLayer {
         }
 
         heatFilter.enabled = true;
-        this.noiseManager.update(deltaTime, canvas.app.renderer);
 
+        // Direction is a compass bearing on the map: 0 rises towards the top, 90 to the right.
+        const angle = Math.toRadians(config.rise.direction);
+        const dir = { x: Math.sin(angle), y: -Math.cos(angle) };
+        const riseDistance = config.rise.speed * canvas.app.ticker.deltaMS / 1000;
+        this._riseOffset.x += dir.x * riseDistance;
+        this._riseOffset.y += dir.y * riseDistance;
+        this._time += deltaTime;
+
+        const stage = canvas.stage;
+        const screen = canvas.app.renderer.screen;
+        const zoom = stage.scale.x;
+        const n = config.noise;
         const u = heatFilter.uniforms;
         u.u_intensity = config.intensity;
-        u.u_displacementMap = this.noiseManager.getTexture();
         u.u_intensityMask = this.combinedMaskTexture;
+        u.uScreenSize = [screen.width, screen.height];
+        u.uScreenToWorld = stage.worldTransform.clone().invert();
+        u.uZoom = zoom;
+        u.uRiseDir = [dir.x, dir.y];
+        u.uRiseOffset = [this._riseOffset.x, this._riseOffset.y];
+        u.uPlumeOffset = [dir.x * config.rise.height * zoom / screen.width, dir.y * config.rise.height * zoom / screen.height];
+        u.uDispersion = config.dispersion;
+        u.u_time = this._time;
+        u.u_speed = n.speed;
+        u.u_scale = n.scale;
+        u.u_threshold = n.threshold;
+        u.u_brightness = n.brightness;
+        u.u_contrast = n.contrast;
+        u.u_softness = n.softness;
+        u.u_evolution = n.evolution ?? 0.0;
     }
 
     async updateFromConfig(config) {
-        this.noiseManager?.updateFromConfig(config);
         this._needsMaskUpdate = true;
     }
 
     _onResize() {
         const renderer = canvas.app.renderer;
         this.combinedMaskTexture?.resize(renderer.screen.width, renderer.screen.height);
-        this.noiseManager?.resize(renderer);
         if (game.mapShine?.effectTargetManager?.targets) {
             this.updateEffectTargets(game.mapShine.effectTargetManager.targets);
         }
@@ -4581,21 +8026,145 @@ class HeatDistortionLayer extends foundry.canvas.layers.CanvasLayer {
         window.removeEventListener('resize', this._onResizeBound);
         Hooks.off('canvasPan', this._onPanBound);
 
-        this.noiseManager?.destroy();
         this.combinedMaskTexture?.destroy(true);
         this.heatSprites.clear();
         super._tearDown(options);
     }
 }
 
+/**
+ * Brings stored configs (world profiles, scene flags, per-target overrides, user adjustments)
+ * up to CONFIG_SCHEMA_VERSION and strips anything the current editor could not have produced.
+ * Stored configs without a schemaVersion predate versioning and are treated as version 0.
+ */
+class ConfigMigrator {
+    // MIGRATIONS[n] upgrades a config from version n - 1 to n.
+    static MIGRATIONS = {
+        // Configs saved before versioning already use the v1 layout.
+        1: config => config,
+        // Bloom "quality" became the number of mip levels.
+        2: config => {
+            for (const bloom of [config.baseShine?.shineBloom, config.advancedBloom]) {
+                if (typeof bloom?.quality === 'number') {
+                    bloom.quality = Math.min(bloom.quality, MultiResBloomFilter.MAX_LEVELS);
+                }
+            }
+            return config;
+        }
+    };
+
+    static migrate(stored, source, { targetOverrides = false } = {}) {
+        if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+        let config = foundry.utils.deepClone(stored);
+        const issues = [];
+
+        const version = Number.isInteger(config.schemaVersion) ? config.schemaVersion : 0;
+        delete config.schemaVersion;
+        if (version > CONFIG_SCHEMA_VERSION) {
+            issues.push(`saved with schema version ${version}, newer than this module's ${CONFIG_SCHEMA_VERSION}`);
+        }
+        for (let v = version + 1; v <= CONFIG_SCHEMA_VERSION; v++) {
+            config = this.MIGRATIONS[v]?.(config) ?? config;
+        }
+
+        issues.push(...this.validate(config, { targetOverrides }));
+        this.report(issues, source);
+        return config;
+    }
+
+    static validate(config, { targetOverrides = false } = {}) {
+        const specs = DebuggerUIBuilder.getControlSpecs();
+        const issues = [];
+
+        const walk = (obj, prefix) => {
+            for (const [key, value] of Object.entries(obj)) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                const reject = (reason) => {
+                    issues.push(`${path}: ${reason}`);
+                    delete obj[key];
+                };
+                const defaultValue = getConfigValue(MODULE_DEFAULT_CONFIG, path);
+
+                if (defaultValue === undefined) {
+                    reject("unknown setting");
+                    continue;
+                }
+                if (targetOverrides && !isTargetOverridePath(path)) {
+                    reject("cannot be overridden per target");
+                    continue;
+                }
+                if (foundry.utils.getType(defaultValue) === 'Object') {
+                    if (foundry.utils.getType(value) !== 'Object') reject("expected a group of settings");
+                    else walk(value, path);
+                    continue;
+                }
+                if (foundry.utils.getType(value) !== foundry.utils.getType(defaultValue)) {
+                    reject(`expected ${foundry.utils.getType(defaultValue).toLowerCase()}, got ${JSON.stringify(value)}`);
+                    continue;
+                }
+
+                const spec = specs.get(path);
+                if (typeof value === 'number') {
+                    if (!Number.isFinite(value)) reject(`${value} is not a finite number`);
+                    else if (spec?.min !== undefined && value !== defaultValue && (value < spec.min || value > spec.max)) {
+                        reject(`${value} is outside ${spec.min}–${spec.max}`);
+                    }
+                } else if (spec?.options && value !== defaultValue && !spec.options.includes(String(value))) {
+                    reject(`"${value}" is not one of ${spec.options.join(', ')}`);
+                }
+            }
+        };
+        walk(config, '');
+        return issues;
+    }
+
+    static stamp(config) {
+        return { ...config, schemaVersion: CONFIG_SCHEMA_VERSION };
+    }
+
+    static migrateProfiles(profiles) {
+        const migrated = {};
+        for (const [name, profileData] of Object.entries(profiles || {})) {
+            migrated[name] = {
+                config: this.migrate(profileData?.config || profileData, `World profile "${name}"`),
+                ui: profileData?.ui || {}
+            };
+        }
+        return migrated;
+    }
+
+    static stampProfiles(profiles) {
+        const stamped = {};
+        for (const [name, profileData] of Object.entries(profiles)) {
+            stamped[name] = { ...profileData, config: this.stamp(profileData.config) };
+        }
+        return stamped;
+    }
+
+    static _reported = new Set();
+
+    static report(issues, source) {
+        if (!issues.length) return;
+        // Stored configs are re-read on every scene load and editor open; only report each problem once.
+        const key = `${source}|${issues.join('|')}`;
+        if (this._reported.has(key)) return;
+        this._reported.add(key);
+        console.warn(`MapShine | ${source}: ignored ${issues.length} stored setting(s).\n - ${issues.join('\n - ')}`);
+        if (game.user?.isGM) {
+            ui.notifications?.warn(`Map Shine: ${source} has ${issues.length} setting(s) that could not be applied. See the console (F12) for details.`);
+        }
+    }
+}
+
 class ProfileManager {
     constructor() {
         this.moduleId = MODULE_ID;
         this.ui = null; 
 
-        this._moduleDefaults = foundry.utils.deepClone(OVERLAY_CONFIG);
+        this._moduleDefaults = foundry.utils.deepClone(MODULE_DEFAULT_CONFIG);
         this._sceneProfile = null;
         this._userOverrides = {};
+        this._liveOverrides = {};
 
         this.activeSceneId = null;
         this.isGm = game.user.isGM;
@@ -4607,6 +8176,8 @@ class ProfileManager {
 
         this._worldProfiles = {};
         this._defaultProfileName = '';
+        this._defaultProfile = null;
+        this._ignoreBaseProfiles = false;
     }
 
     async initialize(ui) {
@@ -4617,21 +8188,21 @@ class ProfileManager {
             return;
         }
 
-        this._worldProfiles = game.settings.get(this.moduleId, PROFILES_SETTING) || {};
-        this._defaultProfileName = game.settings.get(this.moduleId, DEFAULT_PROFILE_SETTING) || '';
-
-        this._worldProfiles = game.settings.get(this.moduleId, PROFILES_SETTING) || {};
+        this._worldProfiles = ConfigMigrator.migrateProfiles(game.settings.get(this.moduleId, PROFILES_SETTING));
         this._defaultProfileName = game.settings.get(this.moduleId, DEFAULT_PROFILE_SETTING) || '';
+        this._defaultProfile = this._getProfileConfig(this._defaultProfileName);
+        this._ignoreBaseProfiles = false;
 
         if (this.ui?.eventHandler) {
             await this.ui.eventHandler._populateProfilesDropdown();
         }
 
-        this._sceneProfile = canvas.scene?.getFlag(this.moduleId, 'profile') || null;
+        const storedSceneProfile = canvas.scene?.getFlag(this.moduleId, 'profile');
+        this._sceneProfile = storedSceneProfile ? ConfigMigrator.migrate(storedSceneProfile, `Scene profile for "${canvas.scene.name}"`) : null;
         this.status.sceneProfileLoaded = !!this._sceneProfile;
 
         const allUserOverrides = game.settings.get(this.moduleId, 'user-adjustments') || {};
-        this._userOverrides = allUserOverrides[this.activeSceneId] || {};
+        this._userOverrides = ConfigMigrator.migrate(allUserOverrides[this.activeSceneId], "Your unsaved adjustments");
         this.status.isDirty = !foundry.utils.isEmpty(this._userOverrides);
 
         await this.applyEffectiveConfig();
@@ -4639,23 +8210,61 @@ class ProfileManager {
         this.updateUIState();
     }
 
-    getEffectiveConfig() {
-        let effectiveConfig = foundry.utils.deepClone(this._moduleDefaults);
+    _getProfileConfig(name) {
+        const profileData = name ? this._worldProfiles[name] : null;
+        if (!profileData) return null;
+        return profileData.config || profileData;
+    }
 
-        if (this._sceneProfile) {
-            foundry.utils.mergeObject(effectiveConfig, this._sceneProfile);
+    _getConfigLayers() {
+        const layers = [{ key: 'module', label: 'Module Default', data: this._moduleDefaults }];
+        if (!this._ignoreBaseProfiles) {
+            if (this._defaultProfile) {
+                layers.push({ key: 'world', label: `World Default Profile "${this._defaultProfileName}"`, data: this._defaultProfile });
+            }
+            if (this._sceneProfile) {
+                layers.push({ key: 'scene', label: 'Scene Profile', data: this._sceneProfile });
+            }
+        }
+        if (!foundry.utils.isEmpty(this._userOverrides)) {
+            layers.push({ key: 'user', label: 'Your Adjustments', data: this._userOverrides });
+        }
+        if (!foundry.utils.isEmpty(this._liveOverrides)) {
+            layers.push({ key: 'live', label: 'Live (GM Broadcast/Macro)', data: this._liveOverrides });
         }
+        return layers;
+    }
 
-        if (this._userOverrides) {
-            foundry.utils.mergeObject(effectiveConfig, this._userOverrides);
+    _mergeLayers(layers) {
+        const config = foundry.utils.deepClone(this._moduleDefaults);
+        for (const layer of layers) {
+            if (layer.key === 'module') continue;
+            foundry.utils.mergeObject(config, layer.data);
         }
-        
-        ClientOverrides.apply(effectiveConfig);
+        return config;
+    }
 
-        return effectiveConfig;
+    getEffectiveConfig() {
+        return ClientOverrides.apply(this._mergeLayers(this._getConfigLayers()));
+    }
+
+    getValueSourceResolver() {
+        const layers = this._getConfigLayers();
+        const merged = this._mergeLayers(layers);
+        const effective = ClientOverrides.apply(foundry.utils.deepClone(merged));
+        const clientLayer = { key: 'client', label: 'Your Client Settings' };
+
+        return (path) => {
+            const value = getConfigValue(effective, path);
+            if (JSON.stringify(value) !== JSON.stringify(getConfigValue(merged, path))) return clientLayer;
+            for (let i = layers.length - 1; i > 0; i--) {
+                if (getConfigValue(layers[i].data, path) !== undefined) return layers[i];
+            }
+            return layers[0];
+        };
     }
 
-    async applyEffectiveConfig() {
+    async applyEffectiveConfig({ retarget = true } = {}) {
         const config = this.getEffectiveConfig();
         foundry.utils.mergeObject(OVERLAY_CONFIG, config, {
             inplace: true,
@@ -4666,13 +8275,7 @@ class ProfileManager {
         });
     
         // Unconditionally trigger a refresh of all visual components.
-        // This was previously inside an if-statement checking for the UI.
-        for (const layer of canvas.layers) {
-            if (typeof layer.updateFromConfig === 'function') {
-                await layer.updateFromConfig(OVERLAY_CONFIG);
-            }
-        }
-        ScreenEffectsManager.updateAllFiltersFromConfig(OVERLAY_CONFIG);
+        await game.mapShine.effectTargetManager.pushConfigToLayers({ retarget });
     
         // If the debugger UI is open, also update its control values to stay in sync.
         if (this.ui?.eventHandler) {
@@ -4680,13 +8283,59 @@ class ProfileManager {
         }
     }
 
+    async setLiveValue(path, value) {
+        await this.setLiveValues({ [path]: value });
+    }
+
+    async setLiveValues(values) {
+        for (const [path, value] of Object.entries(values)) {
+            foundry.utils.setProperty(this._liveOverrides, path, value);
+        }
+        await this.applyEffectiveConfig({ retarget: Object.keys(values).some(path => path.endsWith('enabled')) });
+    }
+
+    async setLiveConfig(config) {
+        this._liveOverrides = foundry.utils.deepClone(config);
+        await this.applyEffectiveConfig();
+        this.updateUIState();
+    }
+
+    getSyncSnapshot() {
+        return this._mergeLayers(this._getConfigLayers());
+    }
+
+    async onSceneProfileChanged() {
+        // The saved profile now carries what the GM was broadcasting.
+        this._liveOverrides = {};
+        await this.initialize(this.ui);
+    }
+
+    async reloadWorldProfiles() {
+        if (!this.activeSceneId) return;
+        this._worldProfiles = ConfigMigrator.migrateProfiles(game.settings.get(this.moduleId, PROFILES_SETTING));
+        this._defaultProfileName = game.settings.get(this.moduleId, DEFAULT_PROFILE_SETTING) || '';
+        await this._syncDefaultProfile();
+        await this.ui?.eventHandler?._populateProfilesDropdown();
+    }
+
+    async clearLiveValues(path = null) {
+        if (path) {
+            foundry.utils.setProperty(this._liveOverrides, path, undefined);
+            this._liveOverrides = this._cleanObject(this._liveOverrides);
+        } else {
+            this._liveOverrides = {};
+        }
+        await this.applyEffectiveConfig();
+    }
+
     async recordUserChange(path, value) {
+        // An edit in the editor takes over from any value a macro is holding at this path.
+        if (getConfigValue(this._liveOverrides, path) !== undefined) {
+            foundry.utils.setProperty(this._liveOverrides, path, undefined);
+            this._liveOverrides = this._cleanObject(this._liveOverrides);
+        }
 
-        const baseConfig = this._sceneProfile ?
-            foundry.utils.mergeObject(foundry.utils.deepClone(this._moduleDefaults), this._sceneProfile, {
-                inplace: false
-            }) :
-            foundry.utils.deepClone(this._moduleDefaults);
+        const baseConfig = this._mergeLayers(this._getConfigLayers().filter(layer => !['user', 'live'].includes(layer.key)));
 
             const baseValue = foundry.utils.getProperty(baseConfig, path);
 
@@ -4698,17 +8347,16 @@ class ProfileManager {
 
         this._userOverrides = this._cleanObject(this._userOverrides);
 
-        const allUserOverrides = game.settings.get(this.moduleId, 'user-adjustments') || {};
-        allUserOverrides[this.activeSceneId] = this._userOverrides;
-        await game.settings.set(this.moduleId, 'user-adjustments', allUserOverrides);
+        await this._writeUserOverrides();
 
         this.status.isDirty = !foundry.utils.isEmpty(this._userOverrides);
         this.updateUIState();
+        this.ui?.eventHandler?.updateControlSource(path);
     }
 
     async saveConfigToScene() {
         if (!this.isGm) return;
-        const currentConfig = foundry.utils.deepClone(OVERLAY_CONFIG);
+        const currentConfig = ConfigMigrator.stamp(foundry.utils.deepClone(OVERLAY_CONFIG));
         await canvas.scene.setFlag(this.moduleId, 'profile', currentConfig);
         ui.notifications.info("FX Profile saved to current scene.");
 
@@ -4719,9 +8367,17 @@ class ProfileManager {
         await this.initialize(this.ui);
     }
 
+    _getBaseProfileLayer() {
+        if (this._sceneProfile) return { key: 'scene', label: 'Scene Profile' };
+        if (this._defaultProfile) return { key: 'world', label: `World Default Profile "${this._defaultProfileName}"` };
+        return null;
+    }
+
     async revertToSceneDefault() {
-        if (!this.status.sceneProfileLoaded) return;
+        const baseLayer = this._getBaseProfileLayer();
+        if (!baseLayer) return;
         this._userOverrides = {};
+        this._ignoreBaseProfiles = false;
         const allUserOverrides = game.settings.get(this.moduleId, 'user-adjustments') || {};
         delete allUserOverrides[this.activeSceneId];
         await game.settings.set(this.moduleId, 'user-adjustments', allUserOverrides);
@@ -4729,23 +8385,21 @@ class ProfileManager {
         this.status.isDirty = false;
         await this.applyEffectiveConfig();
         this.updateUIState();
-        ui.notifications.info("Reverted to scene default FX.");
+        game.mapShine.liveSync.sendSnapshot();
+        ui.notifications.info(`Reverted to ${baseLayer.label} FX.`);
     }
 
     async revertToModuleDefault() {
 
         this._userOverrides = {};
-        const allUserOverrides = game.settings.get(this.moduleId, 'user-adjustments') || {};
-        allUserOverrides[this.activeSceneId] = {};
-        await game.settings.set(this.moduleId, 'user-adjustments', allUserOverrides);
+        await this._writeUserOverrides();
 
-        const originalSceneProfile = this._sceneProfile;
-        this._sceneProfile = null;
+        this._ignoreBaseProfiles = true;
         await this.applyEffectiveConfig();
-        this._sceneProfile = originalSceneProfile; 
 
-        this.status.isDirty = this.status.sceneProfileLoaded;
+        this.status.isDirty = !!this._getBaseProfileLayer();
         this.updateUIState();
+        game.mapShine.liveSync.sendSnapshot();
         ui.notifications.info("Reverted to module default FX for this session.");
     }
 
@@ -4755,26 +8409,57 @@ class ProfileManager {
         const light = this.ui.element.querySelector('#fx-status-light');
         const saveSceneBtn = this.ui.element.querySelector('#profile-save-scene');
         const revertSceneBtn = this.ui.element.querySelector('#profile-revert-scene');
+        const revertModuleBtn = this.ui.element.querySelector('#profile-revert-module');
+        const baseLayer = this._getBaseProfileLayer();
+        const layers = this._getConfigLayers();
 
         if (saveSceneBtn) saveSceneBtn.style.display = this.isGm ? '' : 'none';
-        if (revertSceneBtn) revertSceneBtn.disabled = !this.status.sceneProfileLoaded;
+        if (revertSceneBtn) {
+            revertSceneBtn.disabled = !baseLayer;
+            revertSceneBtn.textContent = baseLayer?.key === 'world' ? 'Revert to World Default' : 'Revert to Scene Default';
+            revertSceneBtn.title = baseLayer ?
+                `Clear your temporary changes and revert to the ${baseLayer.label}.` :
+                "No scene profile or world default profile to revert to.";
+        }
+        if (revertModuleBtn) {
+            revertModuleBtn.classList.toggle('active', this._ignoreBaseProfiles);
+        }
 
         if (light) {
             light.className = 'fx-status-light'; 
+            const chain = layers.map(layer => layer.label).join(' → ');
             if (this.status.error) {
                 light.classList.add('red');
                 light.title = `Error: ${this.status.error}`;
+            } else if (this._ignoreBaseProfiles) {
+                light.classList.add(this.status.isDirty ? 'blue' : 'grey');
+                light.title = `Module defaults forced for this session (${baseLayer?.label ?? 'no profile'} ignored).\nActive layers: ${chain}`;
             } else if (this.status.sceneProfileLoaded) {
                 const title = this.status.isDirty ? "Scene profile loaded with user adjustments." : "Scene profile loaded.";
                 light.classList.add(this.status.isDirty ? 'blue' : 'green');
-                light.title = title;
+                light.title = `${title}\nActive layers: ${chain}`;
+            } else if (this._defaultProfile) {
+                const title = this.status.isDirty ?
+                    `World default profile "${this._defaultProfileName}" applied with user adjustments.` :
+                    `No scene profile. World default profile "${this._defaultProfileName}" applied.`;
+                light.classList.add(this.status.isDirty ? 'blue' : 'purple');
+                light.title = `${title}\nActive layers: ${chain}`;
             } else {
                 light.classList.add('grey');
-                light.title = "No scene profile. Using module/user defaults.";
+                light.title = `No scene profile. Using module/user defaults.\nActive layers: ${chain}`;
             }
         }
     }
 
+    async _syncDefaultProfile() {
+        const previous = this._defaultProfile;
+        this._defaultProfile = this._getProfileConfig(this._defaultProfileName);
+        if (previous === this._defaultProfile || !this.activeSceneId) return;
+
+        await this.applyEffectiveConfig();
+        this.updateUIState();
+    }
+
     async getProfiles() {
         return this._worldProfiles;
     }
@@ -4786,23 +8471,18 @@ class ProfileManager {
         if (!profileData) return null;
 
         const configToLoad = profileData.config || profileData;
-        foundry.utils.mergeObject(OVERLAY_CONFIG, configToLoad, {
-            inplace: true,
-            overwrite: true,
-            recursive: true
-        });
 
         this._userOverrides = foundry.utils.deepClone(configToLoad);
-        const allUserOverrides = game.settings.get(this.moduleId, 'user-adjustments') || {};
-        allUserOverrides[this.activeSceneId] = this._userOverrides;
-        await game.settings.set(this.moduleId, 'user-adjustments', allUserOverrides);
+        await this._writeUserOverrides();
 
         this.status.isDirty = true;
+        await this.applyEffectiveConfig();
         this.updateUIState();
-        this.ui.eventHandler.updateAllControls();
-        this.ui.eventHandler.applyProfileUIState(profileData);
+        this.ui?.eventHandler?.applyProfileUIState(profileData);
+        game.mapShine.liveSync.sendSnapshot();
         ui.notifications.info(`Profile "${name}" loaded.`);
 
+        Hooks.callAll('mapShine.profileLoaded', name, foundry.utils.deepClone(configToLoad));
         return profileData;
     }
     async saveProfile(name, config, uiState) {
@@ -4810,22 +8490,90 @@ class ProfileManager {
             ui.notifications.warn("Please enter a name for the profile.");
             return false;
         }
-        if (this._worldProfiles[name]) {
-            const overwrite = await Dialog.confirm({
-                title: "Profile Exists",
-                content: `<p>A world profile named "<strong>${name}</strong>" already exists. Overwrite it?</p>`,
-                defaultYes: false
-            });
-            if (!overwrite) return false;
-        }
+        if (!await this._confirmOverwrite(name)) return false;
         this._worldProfiles[name] = {
             config: foundry.utils.deepClone(config),
             ui: uiState
         };
-        await game.settings.set(this.moduleId, PROFILES_SETTING, this._worldProfiles);
+        await this._writeWorldProfiles();
         ui.notifications.info(`World Profile "${name}" saved!`);
+        if (name === this._defaultProfileName) await this._syncDefaultProfile();
         return true;
     }
+    async _confirmOverwrite(name) {
+        if (!this._worldProfiles[name]) return true;
+        return Dialog.confirm({
+            title: "Profile Exists",
+            content: `<p>A world profile named "<strong>${name}</strong>" already exists. Overwrite it?</p>`,
+            defaultYes: false
+        });
+    }
+    exportProfile(name) {
+        const profileData = this._worldProfiles[name];
+        if (!profileData) {
+            ui.notifications.warn("No profile selected to export.");
+            return;
+        }
+        const data = {
+            module: this.moduleId,
+            schemaVersion: CONFIG_SCHEMA_VERSION,
+            name,
+            config: profileData.config || profileData,
+            ui: profileData.ui || {}
+        };
+        const gradients = GradientLibrary.collectReferenced(data.config);
+        if (Object.keys(gradients).length) data.gradients = gradients;
+        const filename = `${this.moduleId}-${name.slugify({ strict: true }) || 'profile'}.json`;
+        foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), 'application/json', filename);
+    }
+    async importProfileFromFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await foundry.utils.readTextFromFile(file));
+        } catch (err) {
+            console.error(`MapShine | Failed to read profile file "${file.name}".`, err);
+            ui.notifications.error(`"${file.name}" is not a valid JSON file.`);
+            return false;
+        }
+        return this.importProfile(data, file.name.replace(/\.json$/i, ''));
+    }
+    async importProfile(data, fallbackName = '') {
+        if (!this.isGm) {
+            ui.notifications.warn("Only a GM can import world profiles.");
+            return false;
+        }
+        if (data?.module && data.module !== this.moduleId) {
+            ui.notifications.error(`This file belongs to "${data.module}", not Map Shine.`);
+            return false;
+        }
+        if (typeof data?.config !== 'object' || data.config === null || Array.isArray(data.config)) {
+            ui.notifications.error("This file does not contain a Map Shine profile.");
+            return false;
+        }
+
+        const name = (data.name || fallbackName).trim();
+        if (!name) {
+            ui.notifications.warn("The imported profile has no name.");
+            return false;
+        }
+        if (!await this._confirmOverwrite(name)) return false;
+
+        // Bring along custom gradients the profile uses, without replacing ones this world already has.
+        for (const [gradientName, gradient] of Object.entries(data.gradients || {})) {
+            if (GradientLibrary.has(gradientName)) continue;
+            const stops = GradientLibrary.normalizeStops(gradient?.stops);
+            if (stops.length) await GradientLibrary.save(gradientName, stops);
+        }
+
+        this._worldProfiles[name] = {
+            config: ConfigMigrator.migrate({ schemaVersion: data.schemaVersion ?? 0, ...data.config }, `Imported profile "${name}"`),
+            ui: data.ui || {}
+        };
+        await this._writeWorldProfiles();
+        ui.notifications.info(`World Profile "${name}" imported.`);
+        if (name === this._defaultProfileName) await this._syncDefaultProfile();
+        return name;
+    }
     async updateProfile(name, config, uiState) {
         if (!name || !this._worldProfiles[name]) {
             return false;
@@ -4834,13 +8582,14 @@ class ProfileManager {
             config: foundry.utils.deepClone(config),
             ui: uiState
         };
-        await game.settings.set(this.moduleId, PROFILES_SETTING, this._worldProfiles);
+        await this._writeWorldProfiles();
+        if (name === this._defaultProfileName) await this._syncDefaultProfile();
         return true;
     }
     async deleteProfile(name) {
         if (!name || !this._worldProfiles[name]) return false;
         delete this._worldProfiles[name];
-        await game.settings.set(this.moduleId, PROFILES_SETTING, this._worldProfiles);
+        await this._writeWorldProfiles();
         if (this.getDefaultProfileName() === name) {
             await this.setDefaultProfile("");
         }
@@ -4849,23 +8598,327 @@ class ProfileManager {
     async setDefaultProfile(name) {
         await game.settings.set(this.moduleId, DEFAULT_PROFILE_SETTING, name);
         this._defaultProfileName = name;
+        await this._syncDefaultProfile();
+    }
+
+    async _writeWorldProfiles() {
+        await game.settings.set(this.moduleId, PROFILES_SETTING, ConfigMigrator.stampProfiles(this._worldProfiles));
+    }
+    async _writeUserOverrides() {
+        const allUserOverrides = game.settings.get(this.moduleId, 'user-adjustments') || {};
+        allUserOverrides[this.activeSceneId] = ConfigMigrator.stamp(this._userOverrides);
+        await game.settings.set(this.moduleId, 'user-adjustments', allUserOverrides);
+    }
+
+    _cleanObject(obj) {
+        return JSON.parse(JSON.stringify(obj, (key, value) => {
+            if (value === null || value === undefined) {
+                return undefined;
+            }
+            if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
+                return undefined;
+            }
+            return value;
+        }));
+    }
+}
+
+const TWEEN_EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+/**
+ * Stable entry point for macros and other modules, exposed as `game.mapShine.api`.
+ * Values set here are held in a "live" layer above your adjustments until they are
+ * persisted, reset, or the scene changes.
+ */
+class MapShineAPI {
+    constructor() {
+        this._tweens = new Map();
+    }
+
+    get easings() {
+        return Object.keys(TWEEN_EASINGS);
+    }
+
+    getConfig(path = null) {
+        const value = path ? getConfigValue(OVERLAY_CONFIG, path) : OVERLAY_CONFIG;
+        return foundry.utils.deepClone(value);
+    }
+
+    async setConfig(path, value, { persist = false, broadcast = false } = {}) {
+        const current = getConfigValue(OVERLAY_CONFIG, path);
+        if (current === undefined) {
+            console.warn(`MapShine API | Unknown config path '${path}'.`);
+            return false;
+        }
+        if (typeof current !== typeof value) {
+            console.warn(`MapShine API | '${path}' expects a ${typeof current}, got ${typeof value}.`);
+            return false;
+        }
+
+        this._tweens.get(path)?.cancel();
+        const profileManager = game.mapShine.profileManager;
+        if (persist) {
+            await profileManager.recordUserChange(path, value);
+            await profileManager.applyEffectiveConfig({ retarget: path.endsWith('enabled') });
+        } else {
+            await profileManager.setLiveValue(path, value);
+        }
+
+        if (broadcast) this._broadcast({ action: 'setConfig', path, value });
+        Hooks.callAll('mapShine.configChanged', { path, value, source: 'api' });
+        return true;
+    }
+
+    async resetConfig(path = null, { broadcast = false } = {}) {
+        if (path) {
+            this._tweens.get(path)?.cancel();
+        } else {
+            for (const tween of [...this._tweens.values()]) tween.cancel();
+        }
+        await game.mapShine.profileManager.clearLiveValues(path);
+
+        if (broadcast) this._broadcast({ action: 'resetConfig', path });
+        Hooks.callAll('mapShine.configChanged', { path, value: path ? this.getConfig(path) : null, source: 'api' });
+    }
+
+    tween(path, to, durationMs = 1000, easing = 'linear', { persist = false, broadcast = false } = {}) {
+        const from = getConfigValue(OVERLAY_CONFIG, path);
+        if (typeof from !== 'number' || typeof to !== 'number') {
+            console.warn(`MapShine API | tween() needs a numeric value at '${path}'.`);
+            return Promise.resolve(false);
+        }
+        const ease = typeof easing === 'function' ? easing : TWEEN_EASINGS[easing];
+        if (!ease) {
+            console.warn(`MapShine API | Unknown easing '${easing}'. Use one of: ${this.easings.join(', ')}.`);
+            return Promise.resolve(false);
+        }
+
+        this._tweens.get(path)?.cancel();
+        if (broadcast) {
+            this._broadcast({ action: 'tween', path, to, durationMs, easing: typeof easing === 'string' ? easing : 'linear' });
+        }
+
+        // OVERLAY_CONFIG holds this client's scaled value; interpolate from the unscaled one.
+        const clientScale = ClientOverrides.scaleValue(path, 1);
+        const startValue = clientScale ? from / clientScale : from;
+
+        return new Promise(resolve => {
+            const ticker = canvas.app.ticker;
+            const start = performance.now();
+            let pending = null;
+
+            const stop = () => {
+                ticker.remove(tick);
+                this._tweens.delete(path);
+            };
+            const tick = () => {
+                const t = durationMs > 0 ? Math.min((performance.now() - start) / durationMs, 1) : 1;
+                if (t >= 1) {
+                    stop();
+                    this.setConfig(path, to, { persist }).then(() => resolve(true));
+                    return;
+                }
+                // Intermediate values skip the profile merge; setConfig above does the full apply once.
+                const value = startValue + (to - startValue) * ease(t);
+                foundry.utils.setProperty(OVERLAY_CONFIG, path, ClientOverrides.scaleValue(path, value));
+                pending ??= game.mapShine.effectTargetManager.pushPathToLayers(path).finally(() => pending = null);
+                Hooks.callAll('mapShine.configChanged', { path, value, source: 'api' });
+            };
+
+            this._tweens.set(path, {
+                cancel: () => {
+                    stop();
+                    resolve(false);
+                }
+            });
+            ticker.add(tick);
+        });
+    }
+
+    async enableEffect(key, options = {}) {
+        return this._setEffectEnabled(key, true, options);
+    }
+
+    async disableEffect(key, options = {}) {
+        return this._setEffectEnabled(key, false, options);
+    }
+
+    async _setEffectEnabled(key, enabled, options) {
+        if (typeof OVERLAY_CONFIG[key]?.enabled !== 'boolean') {
+            console.warn(`MapShine API | '${key}' is not an effect that can be toggled.`);
+            return false;
+        }
+        return this.setConfig(`${key}.enabled`, enabled, options);
+    }
+
+    getProfiles() {
+        return Object.keys(game.settings.get(MODULE_ID, PROFILES_SETTING) || {}).sort();
+    }
+
+    async loadProfile(name) {
+        const profileData = await game.mapShine.profileManager.loadProfile(name);
+        if (!profileData) {
+            console.warn(`MapShine API | No profile named '${name}'.`);
+            return false;
+        }
+        return true;
+    }
+
+    registerIlluminationProvider(provider) {
+        const registered = IlluminationProviders.register(provider);
+        if (registered) game.mapShine.profileManager?.applyEffectiveConfig();
+        return registered;
+    }
+
+    getIlluminationProviders() {
+        return IlluminationProviders.list();
+    }
+
+    getRevealZones() {
+        const manager = game.mapShine.revealZones;
+        return (manager?.getZones() ?? []).map(doc => {
+            const { document, ...info } = RevealZoneManager.describe(doc, manager.coverage.get(doc.uuid) ?? null);
+            return { ...info, threshold: RevealZoneManager.getZoneData(doc).threshold };
+        });
+    }
+
+    async setRevealZone(uuid, data) {
+        const doc = fromUuidSync(uuid);
+        if (!['Tile', 'Region'].includes(doc?.documentName)) {
+            console.warn(`MapShine API | '${uuid}' is not a tile or region.`);
+            return false;
+        }
+        return RevealZoneManager.configure(doc, data);
+    }
+
+    getTargets() {
+        const manager = game.mapShine.effectTargetManager;
+        const targets = [manager.targets.background, ...manager.targets.tiles.values()].filter(Boolean);
+        return targets.map(target => ({
+            id: target.id,
+            label: manager.getTargetLabel(target.id),
+            baseTexturePath: target.baseTexturePath,
+            maps: Object.fromEntries(Object.keys(TextureAutoLoader.SUFFIX_MAP).map(key => [key, target[key] ?? null])),
+            mapSources: { ...target.mapSources },
+            rect: { ...target.rect },
+            overrides: foundry.utils.deepClone(target.overrides ?? {})
+        }));
+    }
+
+    _broadcast(message) {
+        if (!game.user.isGM) {
+            console.warn("MapShine API | Only a GM can broadcast changes to other clients.");
+            return;
+        }
+        game.mapShine.liveSync.send(message);
+    }
+}
+
+/**
+ * Mirrors the GM's effect changes to every connected client over the module socket.
+ * Received values go into each client's live layer, so their ClientOverrides still apply on top.
+ */
+class LiveSyncManager {
+    static THROTTLE_MS = 50;
+
+    constructor() {
+        this._pendingValues = new Map();
+        this._flushTimeout = null;
+    }
+
+    get isBroadcasting() {
+        return game.user.isGM && game.settings.get(MODULE_ID, 'gm-live-broadcast');
+    }
+
+    initialize() {
+        game.socket.on(`module.${MODULE_ID}`, this._onMessage.bind(this));
+    }
+
+    send(message) {
+        game.socket.emit(`module.${MODULE_ID}`, { ...message, userId: game.user.id, sceneId: canvas.scene?.id });
+    }
+
+    queueValue(path, value) {
+        if (!this.isBroadcasting) return;
+        this._pendingValues.set(path, value);
+        this._flushTimeout ??= setTimeout(() => this._flush(), LiveSyncManager.THROTTLE_MS);
+    }
+
+    _flush() {
+        this._flushTimeout = null;
+        if (!this._pendingValues.size) return;
+        this.send({ action: 'setValues', values: Object.fromEntries(this._pendingValues) });
+        this._pendingValues.clear();
+    }
+
+    sendSnapshot() {
+        if (!this.isBroadcasting || !game.mapShine.profileManager?.activeSceneId) return;
+        this._pendingValues.clear();
+        this.send({ action: 'syncConfig', config: game.mapShine.profileManager.getSyncSnapshot() });
+    }
+
+    requestSync() {
+        if (game.user.isGM) return;
+        this.send({ action: 'requestSync' });
     }
 
-    _cleanObject(obj) {
-        return JSON.parse(JSON.stringify(obj, (key, value) => {
-            if (value === null || value === undefined) {
-                return undefined;
-            }
-            if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
-                return undefined;
-            }
-            return value;
-        }));
+    _onMessage(message) {
+        if (!canvas.ready || message.sceneId !== canvas.scene?.id) return;
+
+        if (message.action === 'requestSync') {
+            if (game.users.activeGM?.isSelf) this.sendSnapshot();
+            return;
+        }
+        if (message.action === 'revealZone') {
+            game.mapShine.revealZones?.receiveReports(message.userId, message.reports);
+            return;
+        }
+        if (!game.users.get(message.userId)?.isGM) return;
+
+        const profileManager = game.mapShine.profileManager;
+        const api = game.mapShine.api;
+        switch (message.action) {
+            case 'setValues':
+                profileManager.setLiveValues(message.values);
+                break;
+            case 'syncConfig':
+                profileManager.setLiveConfig(message.config);
+                break;
+            case 'setConfig':
+                api.setConfig(message.path, message.value);
+                break;
+            case 'resetConfig':
+                api.resetConfig(message.path);
+                break;
+            case 'tween':
+                api.tween(message.path, message.to, message.durationMs, message.easing);
+                break;
+        }
     }
 }
 
 class DebuggerUIBuilder {
-    constructor() {}
+    constructor() {
+        // Ranges and options of every control built so far, keyed by config path.
+        this.controlSpecs = new Map();
+    }
+
+    static getControlSpecs() {
+        if (!this._controlSpecs) {
+            const builder = new DebuggerUIBuilder();
+            builder._buildColumn1();
+            builder._buildColumn2();
+            builder._buildColumn3();
+            this._controlSpecs = builder.controlSpecs;
+        }
+        return this._controlSpecs;
+    }
 
     buildRootElement() {
         const element = document.createElement('div');
@@ -4954,6 +9007,10 @@ class DebuggerUIBuilder {
             #material-editor-debugger .traffic-light.error { background-color: #fa4040; }
             #material-editor-debugger .traffic-light.warning { background-color: #f7a000; }
             #material-editor-debugger .traffic-light.unknown { background-color: #888; }
+            #material-editor-debugger .traffic-light.manual { background-color: #40a0fa; }
+            #material-editor-debugger .texture-row { display: grid; grid-template-columns: 1fr auto auto; gap: 3px; align-items: center; }
+            #material-editor-debugger .texture-row button { width: 22px; height: 22px; padding: 0; line-height: 1; }
+            #material-editor-debugger input[data-map-source="manual"] { border-color: #40a0fa; }
             #material-editor-debugger .traffic-light.inactive, #material-editor-debugger .traffic-light.disabled { background: none; border: 1px dashed #666; }
             #material-editor-debugger .control-row { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1px; padding: 1px 0; }
             #material-editor-debugger .control-row label { flex-shrink: 0; margin-right: 8px; display: flex; align-items: center; gap: 4px;}
@@ -4983,8 +9040,29 @@ class DebuggerUIBuilder {
             .fx-status-light.blue { background-color: #40a0fa; box-shadow: 0 0 5px #40a0fa; }
             .fx-status-light.grey { background-color: #888; }
             .fx-status-light.red { background-color: #fa4040; box-shadow: 0 0 5px #fa4040; }
+            .fx-status-light.purple { background-color: #b070fa; box-shadow: 0 0 5px #b070fa; }
+            #material-editor-debugger [data-source="world"] > label, #material-editor-debugger [data-source="world"] > .summary-label { color: #c9a0ff; }
+            #material-editor-debugger [data-source="scene"] > label, #material-editor-debugger [data-source="scene"] > .summary-label { color: #8fe88a; }
+            #material-editor-debugger [data-source="user"] > label, #material-editor-debugger [data-source="user"] > .summary-label { color: #7fc0ff; }
+            #material-editor-debugger [data-source="client"] > label, #material-editor-debugger [data-source="client"] > .summary-label { color: #ffb060; }
+            #material-editor-debugger [data-source="live"] > label, #material-editor-debugger [data-source="live"] > .summary-label { color: #f0e060; }
+            #material-editor-debugger [data-source="target"] > label, #material-editor-debugger [data-source="target"] > .summary-label { color: #ff80c0; }
+            #material-editor-debugger .target-locked { opacity: 0.4; pointer-events: none; }
+            #material-editor-debugger.drop-target { outline: 2px dashed #b070fa; outline-offset: -4px; }
+            #material-editor-debugger .source-legend { font-size: 10px; text-align: center; margin-top: 4px; }
+            #material-editor-debugger .source-legend span { margin: 0 3px; }
+            #material-editor-debugger .profile-controls button.active { border-color: #b070fa; }
             .profile-controls button:disabled { background-color: #333; color: #777; cursor: not-allowed; border-color: #555; }
             .description-text { font-size: 10px; color: #aaa; margin: 4px 0 6px 0; padding-left: 5px; }
+            .response-curve { flex-grow: 1; height: 40px; background: #1a1a1a; border: 1px solid #444; }
+            .response-curve polyline { fill: none; stroke: #e0b050; stroke-width: 1.5; vector-effect: non-scaling-stroke; }
+            .gradient-editor { margin: 4px 0 8px 5px; }
+            .gradient-preview { height: 14px; border: 1px solid #444; border-radius: 3px; margin-bottom: 4px; }
+            .gradient-stop, .gradient-editor-buttons { display: flex; align-items: center; gap: 4px; margin-bottom: 3px; }
+            .gradient-stop input[type="number"] { width: 50px; }
+            .gradient-stop input[type="color"] { flex-grow: 1; height: 20px; padding: 0; border: none; }
+            .gradient-editor-buttons input { flex-grow: 1; }
+            .gradient-editor button { flex: 0 0 auto; width: auto; padding: 0 6px; line-height: 18px; }
             .warning-box { background: #552222; border: 1px solid #ff6666; padding: 5px; margin: 5px 0; border-radius: 3px; font-size: 10px; }
             .warning-box strong { color: #ffaaaa; }
 
@@ -5147,6 +9225,20 @@ class DebuggerUIBuilder {
                 <div class="widget-group"><span id="status-shaders-postProcessing" class="traffic-light unknown"></span>PostFX</div>
             </div>
         </div>
+        <div class="top-bar-row">
+            <div class="widget-group" title="Choose a tile or the scene background to give it its own material settings. Only material effects can be overridden per target.">
+                <label for="edit-target-select">Editing:</label>
+                <select id="edit-target-select"><option value="">Scene (all targets)</option></select>
+                <button id="edit-target-reset" title="Remove all per-target overrides from the selected target." disabled>Clear Overrides</button>
+            </div>
+            <div class="widget-group gm-only" title="Show your changes to all connected players as you make them.">
+                <input type="checkbox" id="live-broadcast">
+                <label for="live-broadcast">Broadcast to Players</label>
+            </div>
+            <div class="widget-group">
+                <button id="rescan-targets" title="Search the file system again for effect maps. Use this after adding or renaming map files.">Rescan Maps</button>
+            </div>
+        </div>
         `;
     }
 
@@ -5154,18 +9246,43 @@ class DebuggerUIBuilder {
         let content = this._createAccordionHTML('baseShine', 'Metallic Shine', `
             ${this._createTextureInputHTML('specular', 'Specular/Reflect Map')}
             <p class="description-text">A grayscale texture where white areas reflect the animated pattern and black areas reflect nothing. This is the primary mask for this effect.</p>
+            ${this._createTextureInputHTML('metalColor', 'Metal Colour Map (_MetalColor)')}
+            <p class="description-text">Optional. Tints the shine and its bloom per pixel, so gold, copper and steel can sit side by side.</p>
             <details id="details-baseShine-animation"><summary><span class="accordion-toggle"></span><strong>Animation & Compositing</strong></summary>
                 <div>
                     ${this._createSliderHTML('baseShine.animation.globalIntensity', 'Global Intensity', 0, 10, 0.1, 'Controls the overall brightness of the shine effect.')}
                     ${this._createSliderHTML('baseShine.animation.updateFrequency', 'Update Frequency (Frames)', 0, 60, 1, 'How often the pattern updates. Higher values improve performance but make animation less smooth. 0 = every frame.')}
                 </div>
             </details>
+            <details id="details-baseShine-lighting"><summary><span class="accordion-toggle"></span><strong>Light Response</strong></summary>
+                <div>
+                    ${this._createTextureInputHTML('normal', 'Normal Map (_Normal)')}
+                    <p class="description-text">Lets scene lights and torch-carrying tokens make the specular areas glint. A normal map adds surface detail; without one the surface is treated as flat.</p>
+                    ${this._createSelectHTML('baseShine.lighting.mode', 'Shine Source', {'Pattern Only': 'pattern', 'Scene Lights': 'lights', 'Pattern + Lights': 'both'}, 'Where the shine comes from: the procedural pattern, nearby AmbientLights and token lights, or both.')}
+                    ${this._createSliderHTML('baseShine.lighting.intensity', 'Intensity', 0, 5, 0.05, 'Brightness of light highlights.')}
+                    ${this._createSliderHTML('baseShine.lighting.shininess', 'Shininess', 1, 128, 1, 'Higher values give smaller, sharper highlights.')}
+                    ${this._createSliderHTML('baseShine.lighting.lightHeight', 'Light Height', 0.01, 1, 0.01, 'How high lights sit above the map, as a fraction of their radius. Low lights give grazing highlights.')}
+                    ${this._createSliderHTML('baseShine.lighting.normalStrength', 'Normal Strength', 0, 4, 0.05, 'Exaggerates or flattens the bumps in the normal map.')}
+                    ${this._createCheckboxHTML('baseShine.lighting.flipGreen', 'Flip Green (DirectX)', false, 'Enable for normal maps exported in DirectX (Y-down) format.')}
+                </div>
+            </details>
+            <details id="details-baseShine-roughness"><summary><span class="accordion-toggle"></span><strong>Roughness</strong></summary>
+                <div>
+                    ${this._createTextureInputHTML('roughness', 'Roughness Map (_Roughness)')}
+                    <p class="description-text">Black is polished, white is rough. Rough areas get broad, dim highlights and wider bloom; smooth areas get tight, bright ones.</p>
+                    ${this._createSliderHTML('baseShine.roughness.smoothSharpness', 'Smooth Sharpness', 0.1, 16, 0.1, 'Highlight sharpness where the roughness map is black.')}
+                    ${this._createSliderHTML('baseShine.roughness.roughSharpness', 'Rough Sharpness', 0.1, 16, 0.1, 'Highlight sharpness where the roughness map is white.')}
+                    ${this._createSliderHTML('baseShine.roughness.curve', 'Response Curve', 0.1, 4, 0.05, 'Bends the transition. Below 1 roughness kicks in early; above 1 only the brightest areas count as rough.')}
+                    ${this._createSliderHTML('baseShine.roughness.bloomSpread', 'Bloom Spread (px)', 0, 64, 1, 'Extra bloom radius for fully rough areas.')}
+                    <div class="control-row"><label title="Highlight sharpness (vertical) for each roughness value (horizontal).">Roughness → Sharpness</label><svg id="roughness-response-curve" class="response-curve" viewBox="0 0 100 40" preserveAspectRatio="none"><polyline points="" /></svg></div>
+                </div>
+            </details>
             <details id="details-baseShine-pattern"><summary><span class="accordion-toggle"></span><strong>Pattern Generator</strong></summary>
                 <div>
-                    ${this._createSelectHTML('baseShine.patternType', 'Type', {'Stripes': 'stripes', 'Checkerboard': 'checkerboard'}, 'The base procedural shape of the shine.')}
-                    <div id="pattern-stripes-controls">
-                        ${this._createSliderHTML('baseShine.pattern.shared.patternScale', 'Pattern Scale', 0.01, 4, 0.01, 'Overall zoom level of the stripe patterns.')}
-                        ${this._createSliderHTML('baseShine.pattern.shared.maxBrightness', 'Max Brightness', 0, 2, 0.01, 'A cap on the brightness of the generated pattern.')}
+                    ${this._createSelectHTML('baseShine.patternType', 'Type', {'Stripes': 'stripes', 'Checkerboard': 'checkerboard', 'Radial Sweep': 'radial', 'Ripples': 'ripples', 'Voronoi Glints': 'voronoi', 'Caustics': 'caustics'}, 'The base procedural shape of the shine.')}
+                    ${this._createSliderHTML('baseShine.pattern.shared.patternScale', 'Pattern Scale', 0.01, 4, 0.01, 'Overall zoom level of the pattern.')}
+                    ${this._createSliderHTML('baseShine.pattern.shared.maxBrightness', 'Max Brightness', 0, 2, 0.01, 'A cap on the brightness of the generated pattern.')}
+                    <div id="pattern-stripes-controls" class="pattern-type-controls">
                         <details id="details-baseShine-pattern-s1"><summary><span class="accordion-toggle"></span><div class="summary-control">${this._createCheckboxHTML('baseShine.pattern.stripes1.enabled', 'Stripe Layer A', true)}</div></summary>
                             <div>
                                 ${this._createSliderHTML('baseShine.pattern.stripes1.intensity', 'Intensity', 0, 2, 0.05, 'Brightness of this individual stripe layer.')}
@@ -5191,11 +9308,41 @@ class DebuggerUIBuilder {
                             </div>
                         </details>
                     </div>
-                    <div id="pattern-checkerboard-controls" style="display: none;">
-                        ${this._createSliderHTML('baseShine.pattern.checkerboard.gridSize', 'Grid Size', 2, 64, 2)}
+                    <div id="pattern-checkerboard-controls" class="pattern-type-controls" style="display: none;">
+                        ${this._createSliderHTML('baseShine.pattern.checkerboard.gridSize', 'Grid Size', 2, 64, 2, 'Number of squares across one pattern unit.')}
                         ${this._createSliderHTML('baseShine.pattern.checkerboard.brightness1', 'Brightness 1', 0, 1, 0.01)}
                         ${this._createSliderHTML('baseShine.pattern.checkerboard.brightness2', 'Brightness 2', 0, 1, 0.01)}
                     </div>
+                    <div id="pattern-radial-controls" class="pattern-type-controls" style="display: none;">
+                        ${this._createSliderHTML('baseShine.pattern.radial.centerX', 'Center X', 0, 1, 0.01, 'Horizontal position of the beam origin, across the scene or tile.')}
+                        ${this._createSliderHTML('baseShine.pattern.radial.centerY', 'Center Y', 0, 1, 0.01, 'Vertical position of the beam origin, across the scene or tile.')}
+                        ${this._createSliderHTML('baseShine.pattern.radial.speed', 'Speed', -0.1, 0.1, 0.001, 'How fast the beam sweeps around. Negative values turn the other way.')}
+                        ${this._createSliderHTML('baseShine.pattern.radial.beamCount', 'Beam Count', 1, 12, 1)}
+                        ${this._createSliderHTML('baseShine.pattern.radial.beamWidth', 'Beam Width', 0.01, 1, 0.01, 'Width of each beam, as a fraction of the gap between beams.')}
+                        ${this._createSliderHTML('baseShine.pattern.radial.falloff', 'Falloff', 0, 2, 0.01, 'How quickly the beam fades with distance from its origin.')}
+                        ${this._createSliderHTML('baseShine.pattern.radial.intensity', 'Intensity', 0, 2, 0.05)}
+                    </div>
+                    <div id="pattern-ripples-controls" class="pattern-type-controls" style="display: none;">
+                        ${this._createSliderHTML('baseShine.pattern.ripples.centerX', 'Center X', 0, 1, 0.01, 'Horizontal position of the ripple origin, across the scene or tile.')}
+                        ${this._createSliderHTML('baseShine.pattern.ripples.centerY', 'Center Y', 0, 1, 0.01, 'Vertical position of the ripple origin, across the scene or tile.')}
+                        ${this._createSliderHTML('baseShine.pattern.ripples.speed', 'Speed', -0.1, 0.1, 0.001, 'How fast the rings travel outward. Negative values move them inward.')}
+                        ${this._createSliderHTML('baseShine.pattern.ripples.frequency', 'Frequency', 0.1, 16, 0.1, 'Number of rings per pattern unit.')}
+                        ${this._createSliderHTML('baseShine.pattern.ripples.sharpness', 'Sharpness', 1, 32, 0.5)}
+                        ${this._createSliderHTML('baseShine.pattern.ripples.falloff', 'Falloff', 0, 2, 0.01, 'How quickly the rings fade with distance from their origin.')}
+                        ${this._createSliderHTML('baseShine.pattern.ripples.intensity', 'Intensity', 0, 2, 0.05)}
+                    </div>
+                    <div id="pattern-voronoi-controls" class="pattern-type-controls" style="display: none;">
+                        ${this._createSliderHTML('baseShine.pattern.voronoi.density', 'Density', 1, 32, 0.5, 'Number of glint cells per pattern unit.')}
+                        ${this._createSliderHTML('baseShine.pattern.voronoi.glintSize', 'Glint Size', 0.01, 0.5, 0.01)}
+                        ${this._createSliderHTML('baseShine.pattern.voronoi.twinkleSpeed', 'Twinkle Speed', 0, 0.1, 0.001)}
+                        ${this._createSliderHTML('baseShine.pattern.voronoi.intensity', 'Intensity', 0, 4, 0.05)}
+                    </div>
+                    <div id="pattern-caustics-controls" class="pattern-type-controls" style="display: none;">
+                        ${this._createSliderHTML('baseShine.pattern.caustics.scale', 'Scale', 0.1, 4, 0.05, 'Repetitions of the caustic web per pattern unit.')}
+                        ${this._createSliderHTML('baseShine.pattern.caustics.speed', 'Speed', 0, 0.05, 0.001)}
+                        ${this._createSliderHTML('baseShine.pattern.caustics.sharpness', 'Sharpness', 1, 16, 0.5, 'Higher values give thinner, brighter lines.')}
+                        ${this._createSliderHTML('baseShine.pattern.caustics.intensity', 'Intensity', 0, 2, 0.05)}
+                    </div>
                 </div>
             </details>
             <details id="details-baseShine-noise"><summary><span class="accordion-toggle"></span><div class="summary-control">${this._createCheckboxHTML('baseShine.noise.enabled', 'Pattern Noise Mask', true)}</div></summary>
@@ -5217,8 +9364,9 @@ class DebuggerUIBuilder {
                     <p class="description-text">Adds a soft glow to the brightest parts of the shine effect.</p>
                     ${this._createSliderHTML('baseShine.shineBloom.threshold', 'Threshold', 0, 1, 0.01, 'Only areas brighter than this will bloom.')}
                     ${this._createSliderHTML('baseShine.shineBloom.brightness', 'Brightness', 0, 5, 0.05)}
-                    ${this._createSliderHTML('baseShine.shineBloom.blur', 'Blur Amount', 0, 20, 0.5)}
-                    ${this._createSliderHTML('baseShine.shineBloom.quality', 'Quality', 1, 15, 1, 'Number of blur samples. Higher is smoother but much slower.')}
+                    ${this._createSliderHTML('baseShine.shineBloom.blur', 'Blur Amount', 0, 20, 0.5, 'Extra softness added at the smallest bloom level.')}
+                    ${this._createSliderHTML('baseShine.shineBloom.quality', 'Levels', 1, MultiResBloomFilter.MAX_LEVELS, 1, 'How many times the bloom is halved in resolution. More levels give a wider glow at little extra cost.')}
+                    ${this._createSelectHTML('baseShine.shineBloom.resolutionScale', 'Resolution', BLOOM_RESOLUTION_OPTIONS, 'Resolution of the first bloom level. Lower is faster, especially on 4K screens.')}
                     <details id="details-baseShine-rgbSplit"><summary><span class="accordion-toggle"></span><div class="summary-control">${this._createCheckboxHTML('baseShine.rgbSplit.enabled', 'RGB Split', true)}</div></summary>
                         <div>${this._createSliderHTML('baseShine.rgbSplit.amount', 'Amount', 0, 10, 0.1, 'Adds a chromatic aberration effect to the bloom.')}</div>
                     </details>
@@ -5226,15 +9374,12 @@ class DebuggerUIBuilder {
             </details>
             <details id="details-baseShine-starburst"><summary><span class="accordion-toggle"></span><div class="summary-control">${this._createCheckboxHTML('baseShine.starburst.enabled', 'Shine Starburst Effect', true)}</div></summary>
                 <div>
-                    <div class="warning-box">
-                        <strong style="color: #ffaaaa;">EXTREME PERFORMANCE WARNING:</strong> This effect is VERY performance-heavy, especially with a high 'Ray Length' or many 'Points'. Use with caution!
-                    </div>
-                    <p class="description-text">Adds star-like rays that emanate from the brightest parts of the shine.</p>
+                    <p class="description-text">Adds star-like rays that emanate from the brightest points of the shine, up to ${StarburstRenderer.MAX_HIGHLIGHTS} at a time.</p>
                     ${this._createSliderHTML('baseShine.starburst.threshold', 'Threshold', 0, 1, 0.01, 'Only areas brighter than this will generate rays.')}
                     ${this._createSliderHTML('baseShine.starburst.intensity', 'Intensity', 0, 4, 0.05)}
                     ${this._createSliderHTML('baseShine.starburst.points', 'Points', 2, 16, 1)}
                     ${this._createSliderHTML('baseShine.starburst.angle', 'Angle', 0, 360, 1)}
-                    ${this._createSliderHTML('baseShine.starburst.size', 'Ray Length', 1, 200, 1)}
+                    ${this._createSliderHTML('baseShine.starburst.size', 'Ray Length', 1, 200, 1, 'Length of each ray in screen pixels.')}
                     ${this._createSliderHTML('baseShine.starburst.falloff', 'Ray Falloff', 0.5, 8, 0.1, 'How quickly the rays fade out with distance. Higher values mean a shorter, faster fade.')}
                     ${this._createSelectHTML('baseShine.starburst.blendMode', 'Blend Mode', BLEND_MODE_OPTIONS)}
                 </div>
@@ -5248,6 +9393,14 @@ class DebuggerUIBuilder {
             ${this._createSliderHTML('dustMotes.shineInfluence', 'Shine Influence', 0, 5, 0.05, 'How much the Metallic Shine pattern brightens the dust motes.')}
             ${this._createSliderHTML('dustMotes.maskBlur', 'Dust Mask Blur', 0, 500, 1, 'Blurs the edges of the dust mask for a softer transition.')}
             ${this._createSliderHTML('dustMotes.numLayers', 'Active Layers', 0, 8, 1, 'Controls how many of the below layers are rendered.')}
+            <details id="details-dustMotes-fogOfWar">
+                <summary><span class="accordion-toggle"></span><strong>Fog of War</strong></summary>
+                <div style="padding-left: 15px;">
+                    <p class="description-text">Hides the motes where the viewer has no vision.</p>
+                    ${this._createSelectHTML('dustMotes.fogOfWar.mode', 'Show In', FOG_OF_WAR_OPTIONS, 'Where players see the effect. GMs without a controlled token always see everything.')}
+                    ${this._createSliderHTML('dustMotes.fogOfWar.exploredBrightness', 'Explored Brightness', 0, 1, 0.01, 'How bright the effect stays in explored areas that are out of sight.')}
+                </div>
+            </details>
             <details id="details-dustMotes-postBlur"><summary><span class="accordion-toggle"></span><div class="summary-control">${this._createCheckboxHTML('dustMotes.postBlur.enabled', 'Post-Effect Blur', true)}</div></summary>
                 <div>
                     <p class="description-text">Applies a blur to the final dust mote effect, making them appear less sharp.</p>
@@ -5300,13 +9453,36 @@ class DebuggerUIBuilder {
         let content = this._createAccordionHTML('iridescence', 'Iridescence', `
             ${this._createTextureInputHTML('iridescence', 'Iridescence Mask')}
             <p class="description-text">Creates a colorful, oil-slick-like effect within the masked areas.</p>
+            ${this._createSelectHTML('iridescence.mode', 'Mode', {'Gradient Pattern': 'pattern', 'Thin Film': 'thinFilm'}, 'Gradient Pattern sweeps a colour gradient across the surface. Thin Film simulates a soap-bubble or oil film whose colours slide as you pan and zoom.')}
             ${this._createSliderHTML('iridescence.intensity', 'Intensity', 0, 2, 0.05)}
             ${this._createSliderHTML('iridescence.speed', 'Anim Speed', 0, 0.2, 0.001)}
             ${this._createSliderHTML('iridescence.scale', 'Pattern Scale', 0.1, 20, 0.1)}
             ${this._createSliderHTML('iridescence.noiseAmount', 'Pattern Noise', 0, 1, 0.01, 'Adds random noise to break up the pattern.')}
+            <details id="details-iridescence-thinfilm"><summary><span class="accordion-toggle"></span><strong>Thin Film</strong></summary>
+                <div>
+                    <p class="description-text">Used when Mode is Thin Film. Colours come from light interfering inside the film rather than from the gradient.</p>
+                    ${this._createTextureInputHTML('thickness', 'Thickness Map')}
+                    ${this._createSliderHTML('iridescence.thinFilm.thickness', 'Film Thickness (nm)', 100, 1200, 10, 'Average film thickness. Thin films give bold first-order colours, thick ones pastel bands.')}
+                    ${this._createSliderHTML('iridescence.thinFilm.thicknessRange', 'Thickness Range (nm)', 0, 1000, 10, 'How far the _Thickness map moves the thickness either side of the average.')}
+                    ${this._createSliderHTML('iridescence.thinFilm.filmIndex', 'Refractive Index', 1.1, 2.5, 0.01, 'Water and soap are about 1.33, oils about 1.5.')}
+                    ${this._createSliderHTML('iridescence.thinFilm.viewStrength', 'View Sensitivity', 0, 4, 0.05, 'How strongly panning and zooming tilt the viewing angle.')}
+                </div>
+            </details>
             <details id="details-iridescence-gradient"><summary><span class="accordion-toggle"></span><strong>Gradient Controls</strong></summary>
                 <div>
-                    ${this._createGradientSelectHTML('iridescence.gradient.name', 'Gradient Preset')}
+                    ${this._createSelectHTML('iridescence.gradient.source', 'Source', {'Preset / Custom': 'preset', 'Strip Image': 'image', 'Base Map Palette': 'baseMap'}, 'Where the gradient colours come from.')}
+                    <div id="gradient-source-preset-controls" class="gradient-source-controls">
+                        ${this._createGradientSelectHTML('iridescence.gradient.name', 'Gradient Preset')}
+                        ${this._createGradientEditorHTML()}
+                    </div>
+                    <div id="gradient-source-image-controls" class="gradient-source-controls">
+                        <p class="description-text">Reads the middle row of a wide image, or the middle column of a tall one, as the gradient.</p>
+                        ${this._createImagePathHTML('iridescence.gradient.imagePath', 'Gradient Image')}
+                    </div>
+                    <div id="gradient-source-baseMap-controls" class="gradient-source-controls">
+                        <p class="description-text">Builds the gradient from the dominant colours of each target's own artwork.</p>
+                        ${this._createSliderHTML('iridescence.gradient.paletteSize', 'Palette Colours', 2, 12, 1, 'How many dominant colours to pick out of the base map.')}
+                    </div>
                     ${this._createSliderHTML('iridescence.gradient.hueShift', 'Hue Shift', 0, 1, 0.01, 'Rotates the colors of the gradient.')}
                     ${this._createSliderHTML('iridescence.gradient.brightness', 'Brightness', -1, 1, 0.01)}
                     ${this._createSliderHTML('iridescence.gradient.contrast', 'Contrast', 0, 4, 0.05)}
@@ -5332,11 +9508,19 @@ class DebuggerUIBuilder {
 
         content += this._createAccordionHTML('heatDistortion', 'Heat Distortion', `
             ${this._createTextureInputHTML('heat', 'Intensity Mask (_Heat)')}
-            <p class="description-text">Simulates rising heat waves, distorting the scene behind the masked areas.</p>
+            <p class="description-text">Simulates hot air rising from the masked areas, distorting the scene behind them. The haze is fixed to the map, so it does not move when you pan.</p>
             ${this._createSliderHTML('heatDistortion.intensity', 'Intensity', 0, 0.05, 0.0005)}
+            ${this._createSliderHTML('heatDistortion.dispersion', 'Colour Dispersion', 0, 1, 0.01, 'Splits the distortion slightly by colour, like light bending through hot air.')}
+            <details id="details-heatDistortion-rise" open><summary><span class="accordion-toggle"></span><strong>Rising Air</strong></summary>
+                <div style="padding-left: 15px;">
+                    ${this._createSliderHTML('heatDistortion.rise.direction', 'Direction (°)', 0, 359, 1, 'Which way the hot air rises on the map. 0 is towards the top, 90 to the right.')}
+                    ${this._createSliderHTML('heatDistortion.rise.speed', 'Rise Speed', 0, 300, 1, 'How fast the shimmer travels, in pixels per second.')}
+                    ${this._createSliderHTML('heatDistortion.rise.height', 'Plume Height', 0, 1000, 10, 'How far past the edge of the heat mask the haze carries before fading out, in pixels.')}
+                </div>
+            </details>
             <details id="details-heatDistortion-noise" open><summary><span class="accordion-toggle"></span><strong>Noise Pattern</strong></summary>
                 <div style="padding-left: 15px;">
-                    ${this._createSliderHTML('heatDistortion.noise.speed', 'Speed (Wind)', -0.5, 0.5, 0.005, 'Horizontal scrolling speed of the heat waves.')}
+                    ${this._createSliderHTML('heatDistortion.noise.speed', 'Speed (Wind)', -0.5, 0.5, 0.005, 'Crosswind that drifts the heat waves sideways.')}
                     ${this._createSliderHTML('heatDistortion.noise.scale', 'Scale', 0.1, 10, 0.1, 'Zoom level of the heat waves.')}
                     ${this._createSliderHTML('heatDistortion.noise.evolution', 'Evolution Speed', 0, 1, 0.01, 'The "boiling" or "morphing" speed of the noise, independent of wind.')}
                     ${this._createSliderHTML('heatDistortion.noise.threshold', 'Threshold', 0, 1, 0.01)}
@@ -5386,6 +9570,34 @@ class DebuggerUIBuilder {
             ${this._createSliderHTML('ambient.intensity', 'Intensity', 0, 5, 0.05, 'Brightness multiplier. Values > 1 are useful for additive blending.')}
             ${this._createSelectHTML('ambient.blendMode', 'Blend Mode', BLEND_MODE_OPTIONS)}
 
+            <details id="details-ambient-lights" class="gm-only">
+                <summary><span class="accordion-toggle"></span><strong>Scene Lights</strong></summary>
+                <div style="padding-left: 15px;">
+                    <p class="description-text">Creates real AmbientLights at the bright spots of the emissive map, so tokens and vision see the glow. Works on the selected target, or every target when editing the whole scene. Generated lights follow their tile and are rebuilt when the map changes.</p>
+                    ${this._createSliderHTML('ambient.lights.threshold', 'Brightness Threshold', 0.05, 1, 0.01, 'How bright a pixel must be to count as part of a glowing area.')}
+                    ${this._createSliderHTML('ambient.lights.minSize', 'Minimum Size', 0, 0.01, 0.0001, 'Smallest area, as a fraction of the map, that gets its own light.')}
+                    ${this._createSliderHTML('ambient.lights.maxLights', 'Max Lights per Target', 1, 64, 1)}
+                    ${this._createSliderHTML('ambient.lights.radiusScale', 'Radius Scale', 0.5, 10, 0.1, 'Light radius as a multiple of the glowing area\'s own size.')}
+                    ${this._createSliderHTML('ambient.lights.brightRatio', 'Bright Radius', 0, 1, 0.01, 'Bright radius as a fraction of the dim radius.')}
+                    ${this._createSliderHTML('ambient.lights.alpha', 'Colour Intensity', 0, 1, 0.01)}
+                    <div class="profile-controls">
+                        <button id="emissive-lights-generate" title="Analyse the emissive map and create or update linked lights."><i class="fas fa-lightbulb"></i> Create / Update Lights</button>
+                        <button id="emissive-lights-remove" title="Delete the lights generated for these targets."><i class="fas fa-trash"></i> Remove</button>
+                    </div>
+                </div>
+            </details>
+
+            <details id="details-ambient-animation">
+                <summary><span class="accordion-toggle"></span><strong>Animation</strong></summary>
+                <div style="padding-left: 15px;">
+                    <p class="description-text">Makes the glow flicker or pulse. An _AmbientAnim map gives each region its own timing: red offsets the phase, green sets the speed (black areas stay still) and, with Per Region, blue picks the behaviour (dark to bright: flicker, pulse, heartbeat, sparks).</p>
+                    ${this._createTextureInputHTML('ambientAnim', 'Animation Map (_AmbientAnim)')}
+                    ${this._createSelectHTML('ambient.animation.mode', 'Behaviour', {'None': 'none', 'Candle Flicker': 'flicker', 'Slow Pulse': 'pulse', 'Heartbeat': 'heartbeat', 'Random Sparks': 'sparks', 'Per Region (_AmbientAnim)': 'map'})}
+                    ${this._createSliderHTML('ambient.animation.speed', 'Speed', 0, 4, 0.05)}
+                    ${this._createSliderHTML('ambient.animation.strength', 'Strength', 0, 1, 0.01, 'How far the glow dims at the low point of each cycle.')}
+                </div>
+            </details>
+
             <details id="details-ambient-tokenMasking" open>
                 <summary>
                     <span class="accordion-toggle"></span>
@@ -5413,6 +9625,15 @@ class DebuggerUIBuilder {
                 </div>
             </details>
 
+            <details id="details-ambient-fogOfWar">
+                <summary><span class="accordion-toggle"></span><strong>Fog of War</strong></summary>
+                <div style="padding-left: 15px;">
+                    <p class="description-text">Hides the glow where the viewer has no vision, so it doesn't leak through fog of war.</p>
+                    ${this._createSelectHTML('ambient.fogOfWar.mode', 'Show In', FOG_OF_WAR_OPTIONS, 'Where players see the effect. GMs without a controlled token always see everything.')}
+                    ${this._createSliderHTML('ambient.fogOfWar.exploredBrightness', 'Explored Brightness', 0, 1, 0.01, 'How bright the effect stays in explored areas that are out of sight.')}
+                </div>
+            </details>
+
             <details id="details-ambient-colorCorrection" open><summary><span class="accordion-toggle"></span><div class="summary-control">${this._createCheckboxHTML('ambient.colorCorrection.enabled', 'Color Correction', true)}</div></summary>
                 <div style="padding-left: 15px;">
                     ${this._createSliderHTML('ambient.colorCorrection.saturation', 'Saturation', 0, 4, 0.05)}
@@ -5453,6 +9674,40 @@ class DebuggerUIBuilder {
                 </div>
             </details>
 
+            <details id="details-groundGlow-fogOfWar">
+                <summary><span class="accordion-toggle"></span><strong>Fog of War</strong></summary>
+                <div style="padding-left: 15px;">
+                    <p class="description-text">Hides the glow where the viewer has no vision.</p>
+                    ${this._createSelectHTML('groundGlow.fogOfWar.mode', 'Show In', FOG_OF_WAR_OPTIONS, 'Where players see the effect. GMs without a controlled token always see everything.')}
+                    ${this._createSliderHTML('groundGlow.fogOfWar.exploredBrightness', 'Explored Brightness', 0, 1, 0.01, 'How bright the effect stays in explored areas that are out of sight.')}
+                </div>
+            </details>
+
+            ${this._createSelectHTML('groundGlow.mode', 'Mode', {'Live': 'live', 'Phosphorescence': 'phosphorescence'}, 'Live follows the current lighting. Phosphorescence charges while lit and keeps glowing after the light moves away.')}
+            <details id="details-groundGlow-phosphorescence">
+                <summary><span class="accordion-toggle"></span><strong>Phosphorescence</strong></summary>
+                <div style="padding-left: 15px;">
+                    <p class="description-text">Areas charge up while they are lit and fade once the light leaves, so a torch leaves a glowing trail. Light Threshold and Invert still decide what counts as lit.</p>
+                    ${this._createSliderHTML('groundGlow.phosphorescence.chargeTime', 'Charge Time (s)', 0.1, 30, 0.1, 'Seconds of light needed to charge an area fully.')}
+                    ${this._createSliderHTML('groundGlow.phosphorescence.halfLife', 'Half-Life (s)', 0.5, 120, 0.5, 'Seconds for the glow to fade to half once the light is gone.')}
+                    ${this._createSliderHTML('groundGlow.phosphorescence.resolution', 'Resolution', 128, 2048, 128, 'Size of the charge texture kept for each map. Changing it resets the charge.')}
+                </div>
+            </details>
+            <details id="details-groundGlow-revealZone" class="gm-only">
+                <summary><span class="accordion-toggle"></span><strong>Reveal Zone</strong></summary>
+                <div style="padding-left: 15px;">
+                    <p class="description-text">Turns the selected tile into a puzzle trigger. When enough of its glow area is lit, Map Shine fires the <code>mapShine.revealed</code> hook and runs the reveal macro; when the light leaves it fires <code>mapShine.concealed</code>. Regions can be made zones with <code>game.mapShine.api.setRevealZone</code>.</p>
+                    <div class="control-row"><label for="reveal-zone-enabled">Reveal Zone</label><input type="checkbox" id="reveal-zone-enabled"></div>
+                    <div class="control-row"><label for="reveal-zone-name">Name</label><input type="text" id="reveal-zone-name" placeholder="e.g. Sun Mural"></div>
+                    <div class="control-row"><label for="reveal-zone-threshold" title="Fraction of the glow area that must be lit.">Lit Coverage</label><input type="number" id="reveal-zone-threshold" min="0" max="1" step="0.05" value="0.5"></div>
+                    <div class="control-row"><label for="reveal-zone-reveal-macro" title="Macro name or UUID, run by the GM when the zone is revealed.">Reveal Macro</label><input type="text" id="reveal-zone-reveal-macro" placeholder="Macro name or UUID"></div>
+                    <div class="control-row"><label for="reveal-zone-conceal-macro" title="Macro name or UUID, run by the GM when the zone goes dark again.">Conceal Macro</label><input type="text" id="reveal-zone-conceal-macro" placeholder="Macro name or UUID"></div>
+                    <div class="profile-controls">
+                        <button id="reveal-zone-save" title="Save the reveal zone settings on the selected tile."><i class="fas fa-save"></i> Save Zone</button>
+                        <span id="reveal-zone-state" class="description-text"></span>
+                    </div>
+                </div>
+            </details>
             ${this._createSliderHTML('groundGlow.luminanceThreshold', 'Light Threshold', 0, 1, 0.01, 'The scene brightness level above which the glow will fade out.')}
             ${this._createSliderHTML('groundGlow.softness', 'Edge Softness', 0.01, 1, 0.01)}
             ${this._createCheckboxHTML('groundGlow.invert', 'Invert (Glow in Light)', false, 'Makes the effect appear in lit areas instead of dark ones.')}
@@ -5462,13 +9717,14 @@ class DebuggerUIBuilder {
 
         content += this._createAccordionHTML('advancedBloom', 'Global Bloom Effect', `
             <div class="warning-box" style="background-color: #554422; border-color: #ffaa66;">
-                <strong style="color: #ffddaa;">EXPERIMENTAL:</strong> This is a global post-processing effect that applies bloom to the entire scene. It is currently unsupported and may not work as expected or may conflict with other modules.
+                <strong style="color: #ffddaa;">EXPERIMENTAL:</strong> This is a global post-processing effect that applies bloom to the entire scene. It may conflict with other modules that filter the canvas. Lower the Resolution if it costs too much on large screens.
             </div>
             ${this._createSliderHTML('advancedBloom.threshold', 'Threshold', 0, 1, 0.01)}
             ${this._createSliderHTML('advancedBloom.bloomScale', 'Bloom Scale', 0, 4, 0.05)}
             ${this._createSliderHTML('advancedBloom.brightness', 'Brightness', 0, 2, 0.05)}
-            ${this._createSliderHTML('advancedBloom.blur', 'Blur Amount', 0, 20, 0.5)}
-            ${this._createSliderHTML('advancedBloom.quality', 'Quality', 1, 15, 1)}
+            ${this._createSliderHTML('advancedBloom.blur', 'Blur Amount', 0, 20, 0.5, 'Extra softness added at the smallest bloom level.')}
+            ${this._createSliderHTML('advancedBloom.quality', 'Levels', 1, MultiResBloomFilter.MAX_LEVELS, 1, 'How many times the bloom is halved in resolution. More levels give a wider glow at little extra cost.')}
+            ${this._createSelectHTML('advancedBloom.resolutionScale', 'Resolution', BLOOM_RESOLUTION_OPTIONS, 'Resolution of the first bloom level. Lower is faster, especially on 4K screens.')}
         `);
 
         content += this._createAccordionHTML('postProcessing', 'Post Processing', `
@@ -5534,7 +9790,10 @@ class DebuggerUIBuilder {
                 <div class="profile-controls">
                     <button id="profile-save-scene" title="Save current settings directly to this scene. This becomes the new baseline for this map. (GM Only)">Save to Scene</button>
                     <button id="profile-revert-scene" title="Clear your temporary changes and revert to the settings saved in the scene.">Revert to Scene Default</button>
-                    <button id="profile-revert-module" title="Temporarily ignore scene settings and use the module's hardcoded defaults.">Revert to Module Default</button>
+                    <button id="profile-revert-module" title="Temporarily ignore the scene and world default profiles and use the module's hardcoded defaults.">Revert to Module Default</button>
+                    <div class="source-legend" title="Control labels are coloured by the layer their current value comes from.">
+                        Value from: <span>Module</span><span style="color: #c9a0ff;">World Default</span><span style="color: #8fe88a;">Scene</span><span style="color: #7fc0ff;">You</span><span style="color: #f0e060;">Live</span><span style="color: #ffb060;">Client Settings</span><span style="color: #ff80c0;">Target Override</span>
+                    </div>
                     <hr style="border-color: #555; margin: 8px 0;">
 
                     <strong style="text-align: center; display: block; margin-bottom: 5px;">World Profiles</strong>
@@ -5548,6 +9807,11 @@ class DebuggerUIBuilder {
                             <button id="profile-delete" style="color: #ff8080;" title="Delete selected world profile. This cannot be undone.">Del</button>
                             <button id="profile-set-default" title="Set the selected profile as the default for new, unsaved scenes." style="flex-grow: 1;">Set Default</button>
                         </div>
+                        <div style="display: flex; gap: 5px; grid-column: 1 / 3;">
+                            <button id="profile-export" title="Download the selected world profile as a .json file to share or ship with a map pack." style="flex-grow: 1;">Export</button>
+                            <button id="profile-import" title="Import a world profile from a .json file. You can also drop profile files onto this panel. (GM Only)" style="flex-grow: 1;">Import</button>
+                            <input type="file" id="profile-import-file" accept=".json,application/json" multiple hidden>
+                        </div>
                     </div>
 
                     <hr style="border-color: #555; margin: 8px 0;">
@@ -5589,6 +9853,7 @@ class DebuggerUIBuilder {
         return `<div class="control-row">${labelHtml}${checkbox}</div>`;
     }
     _createSliderHTML(path, label, min, max, step, title = '') {
+        this.controlSpecs.set(path, { min, max });
         const id = this._createSafeId(path);
         const titleAttr = title ? `title="${title}"` : '';
         return `<div class="control-row control-row-slider"><label for="${id}" ${titleAttr}>${label}</label><input type="range" id="${id}" data-path="${path}" min="${min}" max="${max}" step="${step}"><span id="${id}-value" class="value-span">0.0</span></div>`;
@@ -5598,21 +9863,41 @@ class DebuggerUIBuilder {
         return `<div class="control-row"><label for="${id}">${label}</label><div class="widget-group" style="flex-grow: 1;"><input type="color" id="${id}" data-path="${path}"></div></div>`;
     }
     _createSelectHTML(path, label, options, title = '') {
+        this.controlSpecs.set(path, { options: Object.values(options).map(String) });
         const id = this._createSafeId(path);
         const titleAttr = title ? `title="${title}"` : '';
         const opts = Object.entries(options).map(([k, v]) => `<option value="${v}">${k}</option>`).join('');
         return `<div class="control-row"><label for="${id}" ${titleAttr}>${label}</label><select id="${id}" data-path="${path}">${opts}</select></div>`;
     }
     _createGradientSelectHTML(path, label) {
+        // Custom gradients come and go while the editor is open, so the valid names are read live.
+        this.controlSpecs.set(path, { get options() { return GradientLibrary.names(); } });
         const id = this._createSafeId(path);
-        const opts = Object.entries(GRADIENT_PRESETS).map(([name, data]) => {
-            const gradientCSS = `linear-gradient(to right, ${data.colors.join(', ')})`;
-            return `<option value="${name}" style="background: ${gradientCSS};">${name}</option>`;
+        const opts = GradientLibrary.names().map(name => {
+            const safeName = foundry.utils.escapeHTML(name);
+            return `<option value="${safeName}" style="background: ${GradientLibrary.toCSS(GradientLibrary.getStops(name))};">${safeName}</option>`;
         }).join('');
         return `<div class="control-row"><label for="${id}">${label}</label><select id="${id}" data-path="${path}" class="gradient-picker">${opts}</select></div>`;
     }
+    _createImagePathHTML(path, label) {
+        const id = this._createSafeId(path);
+        return `<div class="control-row"><label for="${id}">${label}</label><div class="texture-row"><input type="text" id="${id}" data-path="${path}" readonly placeholder="No image chosen."><button class="image-path-pick" data-target-path="${path}" title="Choose an image."><i class="fas fa-file-import"></i></button></div></div>`;
+    }
+    _createGradientEditorHTML() {
+        return `
+            <div id="gradient-editor" class="gradient-editor gm-only">
+                <div class="gradient-preview"></div>
+                <div class="gradient-stops"></div>
+                <div class="gradient-editor-buttons">
+                    <button id="gradient-add-stop" title="Add a colour stop halfway along the widest gap."><i class="fas fa-plus"></i> Stop</button>
+                    <input type="text" id="gradient-name" placeholder="Gradient name">
+                    <button id="gradient-save" title="Save as a world gradient that any profile can use."><i class="fas fa-save"></i></button>
+                    <button id="gradient-delete" title="Delete this custom gradient from the world."><i class="fas fa-trash"></i></button>
+                </div>
+            </div>`;
+    }
     _createTextureInputHTML(key, label) {
-        return `<div class="control-row" style="margin-bottom: 5px;"><label><span id="status-textures-${key}" class="traffic-light unknown"></span>${label}</label><input type="text" id="texture-path-${key}" disabled title="This path is discovered automatically based on the base map's filename. (e.g., 'map.webp' -> 'map_Specular.webp')"></div>`;
+        return `<div class="control-row" style="margin-bottom: 5px;"><label><span id="status-textures-${key}" class="traffic-light unknown"></span>${label}</label><div class="texture-row"><input type="text" id="texture-path-${key}" disabled title="This path is discovered automatically based on the base map's filename. (e.g., 'map.webp' -> 'map_Specular.webp')"><button class="texture-pick" data-texture-key="${key}" title="Choose a map for the selected target. Manual paths take priority over discovered ones." disabled><i class="fas fa-file-import"></i></button><button class="texture-clear" data-texture-key="${key}" title="Remove the manual path and go back to auto-discovery." disabled><i class="fas fa-times"></i></button></div></div>`;
     }
 }
 
@@ -5621,11 +9906,17 @@ class DebuggerEventHandler {
         this.element = element;
         this.config = config;
         this.profileManager = profileManager;
+        this.editTargetId = null;
+        this._gradientEditorName = null;
+        this._gradientDraft = [];
     }
 
     initialize() {
         this.addEventListeners();
         this._makeDraggable();
+        this.element.querySelectorAll('.gm-only').forEach(el => el.style.display = game.user.isGM ? '' : 'none');
+        this.element.querySelector('#live-broadcast').checked = game.settings.get(MODULE_ID, 'gm-live-broadcast');
+        this._populateTargetDropdown();
         this.updateAllControls();
     }
 
@@ -5648,10 +9939,333 @@ class DebuggerEventHandler {
         this.element.querySelector('#profile-update').addEventListener('click', this._onUpdateProfile.bind(this));
         this.element.querySelector('#profile-set-default').addEventListener('click', this._onSetDefaultProfile.bind(this));
         this.element.querySelector('#profile-delete').addEventListener('click', this._onDeleteProfile.bind(this));
+        this.element.querySelector('#profile-export').addEventListener('click', this._onExportProfile.bind(this));
+        this.element.querySelector('#profile-import').addEventListener('click', () => this.element.querySelector('#profile-import-file').click());
+        this.element.querySelector('#profile-import-file').addEventListener('change', this._onImportFileSelected.bind(this));
+        this.element.addEventListener('dragover', this._onDragOver.bind(this));
+        this.element.addEventListener('dragleave', () => this.element.classList.remove('drop-target'));
+        this.element.addEventListener('drop', this._onDropProfile.bind(this));
         this.element.querySelector('#profile-save-scene').addEventListener('click', () => this.profileManager.saveConfigToScene());
         this.element.querySelector('#profile-revert-scene').addEventListener('click', () => this.profileManager.revertToSceneDefault());
         this.element.querySelector('#profile-revert-module').addEventListener('click', () => this.profileManager.revertToModuleDefault());
         this.element.querySelector('#output-config-btn').addEventListener('click', this._onOutputConfig.bind(this));
+        this.element.querySelector('#edit-target-select').addEventListener('change', (e) => this.setEditTarget(e.target.value || null));
+        this.element.querySelector('#edit-target-reset').addEventListener('click', this._onClearTargetOverrides.bind(this));
+        this.element.querySelector('#rescan-targets').addEventListener('click', () => game.mapShine.effectTargetManager.rescan());
+        this.element.querySelector('#live-broadcast').addEventListener('change', this._onToggleLiveBroadcast.bind(this));
+        this.element.querySelectorAll('.texture-pick').forEach(btn => btn.addEventListener('click', this._onPickTextureMap.bind(this)));
+        this.element.querySelectorAll('.texture-clear').forEach(btn => btn.addEventListener('click', this._onClearTextureMap.bind(this)));
+        this.element.querySelector('#emissive-lights-generate').addEventListener('click', () => game.mapShine.emissiveLights.generate(this._getLightTargetIds()));
+        this.element.querySelector('#emissive-lights-remove').addEventListener('click', () => game.mapShine.emissiveLights.removeLights(this._getLightTargetIds()));
+        this.element.querySelector('#reveal-zone-save').addEventListener('click', this._onSaveRevealZone.bind(this));
+        this.element.querySelectorAll('.image-path-pick').forEach(btn => btn.addEventListener('click', this._onPickImagePath.bind(this)));
+        this.element.querySelector('#gradient-add-stop').addEventListener('click', this._onAddGradientStop.bind(this));
+        this.element.querySelector('#gradient-save').addEventListener('click', this._onSaveGradient.bind(this));
+        this.element.querySelector('#gradient-delete').addEventListener('click', this._onDeleteGradient.bind(this));
+        this.element.querySelector('#gradient-name').addEventListener('input', () => this._updateGradientButtons());
+        const stopList = this.element.querySelector('.gradient-stops');
+        stopList.addEventListener('input', () => this._readGradientStops());
+        stopList.addEventListener('click', (e) => {
+            const button = e.target.closest('.gradient-stop-remove');
+            if (!button || this._gradientDraft.length <= 1) return;
+            this._gradientDraft.splice(Number(button.dataset.index), 1);
+            this._renderGradientStops();
+        });
+    }
+
+    _getLightTargetIds() {
+        if (this.editTargetId) return [this.editTargetId];
+        const targets = game.mapShine.effectTargetManager.targets;
+        return [...(targets.background ? ['background'] : []), ...targets.tiles.keys()];
+    }
+
+    /** Loads the selected gradient into the editor, unless it is already the one being edited. */
+    _loadGradientEditor({ force = false } = {}) {
+        const name = this._getDisplayConfig().iridescence.gradient.name;
+        if (!force && name === this._gradientEditorName) return;
+        this._gradientEditorName = name;
+        this._gradientDraft = GradientLibrary.getStops(name);
+        this.element.querySelector('#gradient-name').value = GradientLibrary.isPreset(name) ? '' : name;
+        this._renderGradientStops();
+    }
+
+    _renderGradientStops() {
+        this.element.querySelector('.gradient-stops').innerHTML = this._gradientDraft.map((stop, i) => `
+            <div class="gradient-stop">
+                <input type="number" min="0" max="100" step="1" value="${Math.round(stop.position * 100)}" data-index="${i}" title="Position along the gradient (%)">
+                <input type="color" value="${stop.color}" data-index="${i}">
+                <button class="gradient-stop-remove" data-index="${i}" title="Remove stop"${this._gradientDraft.length <= 1 ? ' disabled' : ''}><i class="fas fa-times"></i></button>
+            </div>`).join('');
+        this._updateGradientPreview();
+    }
+
+    _readGradientStops() {
+        this.element.querySelectorAll('.gradient-stop').forEach((row, i) => {
+            const position = Number(row.querySelector('input[type="number"]').value);
+            this._gradientDraft[i] = {
+                position: Number.isFinite(position) ? Math.min(Math.max(position, 0), 100) / 100 : 0,
+                color: row.querySelector('input[type="color"]').value
+            };
+        });
+        this._updateGradientPreview();
+    }
+
+    _updateGradientPreview() {
+        const stops = GradientLibrary.normalizeStops(this._gradientDraft);
+        this.element.querySelector('.gradient-preview').style.background = GradientLibrary.toCSS(stops.length > 1 ? stops : [...stops, ...stops]);
+        this._updateGradientButtons();
+    }
+
+    _updateGradientButtons() {
+        const name = this.element.querySelector('#gradient-name').value.trim();
+        this.element.querySelector('#gradient-save').disabled = !name || GradientLibrary.isPreset(name);
+        this.element.querySelector('#gradient-delete').disabled = !name || GradientLibrary.isPreset(name) || !GradientLibrary.has(name);
+    }
+
+    _onAddGradientStop() {
+        const stops = GradientLibrary.normalizeStops(this._gradientDraft);
+        let gapStart = 0, gapEnd = 1;
+        if (stops.length) {
+            const edges = [{ position: 0 }, ...stops, { position: 1 }];
+            let widest = -1;
+            for (let i = 1; i < edges.length; i++) {
+                if (edges[i].position - edges[i - 1].position > widest) {
+                    widest = edges[i].position - edges[i - 1].position;
+                    gapStart = edges[i - 1].position;
+                    gapEnd = edges[i].position;
+                }
+            }
+        }
+        const neighbour = stops.find(stop => stop.position >= gapStart) ?? stops.at(-1);
+        stops.push({ position: (gapStart + gapEnd) / 2, color: neighbour?.color ?? '#ffffff' });
+        this._gradientDraft = GradientLibrary.normalizeStops(stops);
+        this._renderGradientStops();
+    }
+
+    async _onSaveGradient() {
+        const name = this.element.querySelector('#gradient-name').value.trim();
+        if (!name) return;
+        if (GradientLibrary.isPreset(name)) {
+            ui.notifications.warn(`"${name}" is a built-in preset. Choose another name.`);
+            return;
+        }
+        const stops = GradientLibrary.normalizeStops(this._gradientDraft);
+        if (!stops.length) {
+            ui.notifications.warn("A gradient needs at least one colour stop.");
+            return;
+        }
+        await GradientLibrary.save(name, stops);
+        ui.notifications.info(`Gradient "${name}" saved to the world.`);
+
+        const select = this.element.querySelector('[data-path="iridescence.gradient.name"]');
+        select.value = name;
+        select.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    async _onDeleteGradient() {
+        const name = this.element.querySelector('#gradient-name').value.trim();
+        if (!GradientLibrary.has(name) || GradientLibrary.isPreset(name)) return;
+        const confirmed = await Dialog.confirm({
+            title: "Delete Gradient",
+            content: `<p>Delete the gradient "<strong>${foundry.utils.escapeHTML(name)}</strong>"? Profiles and targets that use it will fall back to rainbow.</p>`,
+            defaultYes: false
+        });
+        if (!confirmed) return;
+        await GradientLibrary.delete(name);
+        ui.notifications.info(`Gradient "${name}" deleted.`);
+    }
+
+    /** Rebuilds the gradient dropdown after the world's custom gradients change. */
+    refreshGradientOptions() {
+        const select = this.element.querySelector('[data-path="iridescence.gradient.name"]');
+        if (!select) return;
+        select.innerHTML = '';
+        for (const name of GradientLibrary.names()) {
+            const option = new Option(name, name);
+            option.style.background = GradientLibrary.toCSS(GradientLibrary.getStops(name));
+            select.add(option);
+        }
+        select.value = this._getDisplayConfig().iridescence.gradient.name;
+        this._loadGradientEditor({ force: true });
+    }
+
+    _populateTargetDropdown() {
+        const dropdown = this.element.querySelector('#edit-target-select');
+        const manager = game.mapShine.effectTargetManager;
+        const ids = [];
+        if (canvas.scene?.background.src) ids.push('background');
+        ids.push(...canvas.tiles.placeables.filter(t => t.document.texture.src).map(t => t.id));
+
+        dropdown.innerHTML = '';
+        dropdown.add(new Option('Scene (all targets)', ''));
+        for (const id of ids) {
+            const suffix = manager.getTarget(id) ? '' : ' (no maps)';
+            dropdown.add(new Option(`${manager.getTargetLabel(id)}${suffix}`, id));
+        }
+
+        if (this.editTargetId && !ids.includes(this.editTargetId)) {
+            this.setEditTarget(null);
+            return;
+        }
+        dropdown.value = this.editTargetId ?? '';
+        this.setEditTarget(this.editTargetId);
+    }
+
+    setEditTarget(targetId) {
+        const manager = game.mapShine.effectTargetManager;
+        this.editTargetId = targetId && manager.getTargetDocument(targetId) ? targetId : null;
+
+        const dropdown = this.element.querySelector('#edit-target-select');
+        dropdown.value = this.editTargetId ?? '';
+
+        const target = this.editTargetId ? manager.getTarget(this.editTargetId) : null;
+        const doc = this.editTargetId ? manager.getTargetDocument(this.editTargetId) : null;
+        this.element.querySelector('#edit-target-reset').disabled = !target || !doc.canUserModify(game.user, 'update');
+
+        this.element.querySelectorAll('[data-path]').forEach(el => {
+            const row = el.closest('.control-row, .summary-control');
+            if (!row) return;
+            row.classList.toggle('target-locked', !!this.editTargetId && (!target || !isTargetOverridePath(el.dataset.path)));
+        });
+
+        this.updateAllControls();
+        this.updateTexturePaths();
+        this.updateRevealZoneControls();
+    }
+
+    _getRevealZoneDocument() {
+        if (!this.editTargetId || this.editTargetId === 'background') return null;
+        return game.mapShine.effectTargetManager.getTargetDocument(this.editTargetId);
+    }
+
+    updateRevealZoneControls() {
+        const doc = this._getRevealZoneDocument();
+        const zone = RevealZoneManager.getZoneData(doc);
+        const canModify = !!doc?.canUserModify(game.user, 'update');
+        const fields = {
+            '#reveal-zone-name': zone?.name ?? '',
+            '#reveal-zone-threshold': zone?.threshold ?? 0.5,
+            '#reveal-zone-reveal-macro': zone?.revealMacro ?? '',
+            '#reveal-zone-conceal-macro': zone?.concealMacro ?? ''
+        };
+        for (const [selector, value] of Object.entries(fields)) {
+            const input = this.element.querySelector(selector);
+            input.value = value;
+            input.disabled = !canModify;
+        }
+        const enabled = this.element.querySelector('#reveal-zone-enabled');
+        enabled.checked = !!zone;
+        enabled.disabled = !canModify;
+        this.element.querySelector('#reveal-zone-save').disabled = !canModify;
+
+        const coverage = doc ? game.mapShine.revealZones?.coverage.get(doc.uuid) : undefined;
+        this.element.querySelector('#reveal-zone-state').textContent = !doc
+            ? 'Select a tile to edit its zone.'
+            : zone ? `${zone.revealed ? 'Revealed' : 'Hidden'}${coverage !== undefined ? `, ${Math.round(coverage * 100)}% lit` : ''}` : '';
+    }
+
+    async _onSaveRevealZone() {
+        const doc = this._getRevealZoneDocument();
+        if (!doc) return;
+        const value = selector => this.element.querySelector(selector).value.trim();
+        const data = this.element.querySelector('#reveal-zone-enabled').checked ? {
+            name: value('#reveal-zone-name') || game.mapShine.effectTargetManager.getTargetLabel(this.editTargetId),
+            threshold: Number(value('#reveal-zone-threshold')),
+            revealMacro: value('#reveal-zone-reveal-macro'),
+            concealMacro: value('#reveal-zone-conceal-macro')
+        } : null;
+        if (await RevealZoneManager.configure(doc, data)) this.updateRevealZoneControls();
+    }
+
+    updateTexturePaths() {
+        const manager = game.mapShine.effectTargetManager;
+        const target = this.editTargetId ? manager.getTarget(this.editTargetId) : null;
+        const canModify = !!this.editTargetId && !!manager.getTargetDocument(this.editTargetId)?.canUserModify(game.user, 'update');
+        const statuses = systemStatus.getAllStatuses().textures || {};
+
+        for (const key of Object.keys(TextureAutoLoader.SUFFIX_MAP)) {
+            const input = this.element.querySelector(`#texture-path-${key}`);
+            if (!input) continue;
+            const source = target?.mapSources?.[key];
+
+            if (this.editTargetId) {
+                input.value = target?.[key] ?? '';
+                input.placeholder = 'No map assigned.';
+                input.title = source ? `${source === 'manual' ? 'Manual' : 'Discovered'}: ${target[key]}` : 'No map found. Use the file picker to assign one.';
+            } else {
+                input.value = statuses[key]?.message ?? '';
+                input.placeholder = '';
+                input.title = input.value;
+            }
+            input.dataset.mapSource = source ?? '';
+
+            const row = input.closest('.texture-row');
+            row.querySelector('.texture-pick').disabled = !canModify;
+            row.querySelector('.texture-clear').disabled = !canModify || source !== 'manual';
+        }
+    }
+
+    _onPickTextureMap(e) {
+        const key = e.currentTarget.dataset.textureKey;
+        const targetId = this.editTargetId;
+        if (!targetId) return;
+        const current = game.mapShine.effectTargetManager.getTarget(targetId)?.[key] ?? '';
+
+        new foundry.applications.apps.FilePicker.implementation({
+            type: 'image',
+            current,
+            callback: path => game.mapShine.effectTargetManager.setTargetTextureMap(targetId, key, path)
+        }).render(true);
+    }
+
+    _onPickImagePath(e) {
+        const input = this.element.querySelector(`[data-path="${e.currentTarget.dataset.targetPath}"]`);
+        new foundry.applications.apps.FilePicker.implementation({
+            type: 'image',
+            current: input.value,
+            callback: path => {
+                input.value = path;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        }).render(true);
+    }
+
+    async _onClearTextureMap(e) {
+        const key = e.currentTarget.dataset.textureKey;
+        if (!this.editTargetId) return;
+        await game.mapShine.effectTargetManager.setTargetTextureMap(this.editTargetId, key, null);
+    }
+
+    _getDisplayConfig() {
+        if (!this.editTargetId) return this.config;
+        const target = game.mapShine.effectTargetManager.getTarget(this.editTargetId);
+        return resolveTargetConfig(this.config, target);
+    }
+
+    _getTargetOverrideValue(path) {
+        if (!this.editTargetId) return undefined;
+        const target = game.mapShine.effectTargetManager.getTarget(this.editTargetId);
+        return target?.overrides ? getConfigValue(target.overrides, path) : undefined;
+    }
+
+    async _onToggleLiveBroadcast(e) {
+        await game.settings.set(MODULE_ID, 'gm-live-broadcast', e.target.checked);
+        // Bring players up to date with anything changed while broadcasting was off.
+        if (e.target.checked) game.mapShine.liveSync.sendSnapshot();
+    }
+
+    async _onClearTargetOverrides() {
+        if (!this.editTargetId) return;
+        const manager = game.mapShine.effectTargetManager;
+        const label = manager.getTargetLabel(this.editTargetId);
+        const confirmed = await Dialog.confirm({
+            title: "Clear Target Overrides",
+            content: `<p>Remove all material overrides from <strong>${label}</strong>? It will use the scene settings again.</p>`,
+        });
+        if (!confirmed) return;
+
+        await manager.clearTargetOverrides(this.editTargetId);
+        this.updateAllControls();
     }
 
     _onClose() {
@@ -5661,15 +10275,7 @@ class DebuggerEventHandler {
     }
 
     _getPathValue(obj, path) {
-        return path.split('.').reduce((acc, part) => {
-            if (!acc) return undefined;
-            const match = part.match(/(\w+)\[(\d+)\]/);
-            if (match) {
-                const arr = acc[match[1]];
-                return arr ? arr[parseInt(match[2])] : undefined;
-            }
-            return acc[part];
-        }, obj);
+        return getConfigValue(obj, path);
     }
 
     _handleGenericInput(e) {
@@ -5681,6 +10287,11 @@ class DebuggerEventHandler {
             value = Number(value);
         }
 
+        if (this.editTargetId && isTargetOverridePath(path)) {
+            this._handleTargetInput(e, path, value);
+            return;
+        }
+
         this.profileManager.recordUserChange(path, value);
 
         try {
@@ -5689,6 +10300,8 @@ class DebuggerEventHandler {
             console.error(`MapShine Debugger | Failed to set property for path: ${path}`, err);
             return;
         }
+        Hooks.callAll('mapShine.configChanged', { path, value, source: 'editor' });
+        game.mapShine.liveSync.queueValue(path, value);
 
         if (e.target.type === 'range') {
             this._updateSliderValue(e.target.id, value, e.target.step);
@@ -5702,32 +10315,54 @@ class DebuggerEventHandler {
         if (path === 'baseShine.patternType') {
             this._updatePatternControlVisibility();
         }
+        if (path.startsWith('baseShine.roughness.')) {
+            this._drawRoughnessCurve();
+        }
+        if (path === 'iridescence.gradient.name') {
+            this._loadGradientEditor();
+        }
+        if (path === 'iridescence.gradient.source') {
+            this._updateGradientSourceVisibility();
+        }
 
         if (path === 'tileOpacity') {
             game.mapShine.effectTargetManager.applyTileOpacities();
         } else {
-            this._triggerGlobalRefresh();
+            game.mapShine.effectTargetManager.pushConfigToLayers({ retarget: path.endsWith('enabled') });
         }
     }
 
-    async _triggerGlobalRefresh() {
-
-        await game.mapShine.effectTargetManager.refresh();
+    async _handleTargetInput(e, path, value) {
+        if (e.target.type === 'range') {
+            this._updateSliderValue(e.target.id, value, e.target.step);
+        }
+        if (path === 'baseShine.patternType') {
+            this._updatePatternControlVisibility();
+        }
 
-        for (const layer of canvas.layers) {
-            if (typeof layer.updateFromConfig === 'function') {
-                await layer.updateFromConfig(this.config);
-            }
+        await game.mapShine.effectTargetManager.setTargetOverride(this.editTargetId, path, value);
+        this.updateControlSource(path);
+        if (path.startsWith('baseShine.roughness.')) {
+            this._drawRoughnessCurve();
+        }
+        if (path === 'iridescence.gradient.name') {
+            this._loadGradientEditor();
         }
-        ScreenEffectsManager.updateAllFiltersFromConfig(this.config);
+        if (path === 'iridescence.gradient.source') {
+            this._updateGradientSourceVisibility();
+        }
+        Hooks.callAll('mapShine.configChanged', { path, value, source: 'editor', targetId: this.editTargetId });
     }
 
     updateAllControls() {
+        const displayConfig = this._getDisplayConfig();
         this.element.querySelectorAll('[data-path]').forEach(el => {
             const path = el.dataset.path;
-            const value = this._getPathValue(this.config, path);
+            const value = this._getPathValue(displayConfig, path);
             if (value === undefined) return;
 
+            this.updateControlSource(path, el);
+
             if (el.type === 'checkbox') {
                 el.checked = value;
                 if (el.closest('.summary-control')) {
@@ -5742,6 +10377,43 @@ class DebuggerEventHandler {
             }
         });
         this._updatePatternControlVisibility();
+        this._updateGradientSourceVisibility();
+        this._drawRoughnessCurve();
+        this._loadGradientEditor();
+    }
+
+    _updateGradientSourceVisibility() {
+        const source = this._getDisplayConfig().iridescence.gradient.source;
+        this.element.querySelectorAll('.gradient-source-controls').forEach(el => {
+            el.style.display = el.id === `gradient-source-${source}-controls` ? '' : 'none';
+        });
+    }
+
+    _drawRoughnessCurve() {
+        const polyline = this.element.querySelector('#roughness-response-curve polyline');
+        if (!polyline) return;
+        const { smoothSharpness, roughSharpness, curve } = this._getDisplayConfig().baseShine.roughness;
+        const maxSharpness = Math.max(smoothSharpness, roughSharpness, 1);
+        const points = [];
+        for (let i = 0; i <= 20; i++) {
+            const roughness = i / 20;
+            const sharpness = smoothSharpness + (roughSharpness - smoothSharpness) * Math.pow(roughness, curve);
+            points.push(`${roughness * 100},${40 - (sharpness / maxSharpness) * 38}`);
+        }
+        polyline.setAttribute('points', points.join(' '));
+    }
+
+    updateControlSource(path, el = this.element.querySelector(`[data-path="${path}"]`)) {
+        const row = el?.closest('.control-row, .summary-control');
+        if (!row || !this.profileManager?.getValueSourceResolver) return;
+        if (this._getTargetOverrideValue(path) !== undefined) {
+            row.dataset.source = 'target';
+            row.title = `Value from: Target Override (${game.mapShine.effectTargetManager.getTargetLabel(this.editTargetId)})`;
+            return;
+        }
+        const source = this.profileManager.getValueSourceResolver()(path);
+        row.dataset.source = source.key;
+        row.title = `Value from: ${source.label}`;
     }
 
     applyProfileUIState(profileData) {
@@ -5762,9 +10434,10 @@ class DebuggerEventHandler {
     }
 
     _updatePatternControlVisibility() {
-        const isStripes = this.config.baseShine.patternType === 'stripes';
-        this.element.querySelector('#pattern-stripes-controls').style.display = isStripes ? '' : 'none';
-        this.element.querySelector('#pattern-checkerboard-controls').style.display = isStripes ? 'none' : '';
+        const patternType = this._getDisplayConfig().baseShine.patternType;
+        this.element.querySelectorAll('.pattern-type-controls').forEach(el => {
+            el.style.display = el.id === `pattern-${patternType}-controls` ? '' : 'none';
+        });
     }
 
     async _populateProfilesDropdown() {
@@ -5833,6 +10506,42 @@ class DebuggerEventHandler {
         }
     }
 
+    _onExportProfile() {
+        this.profileManager.exportProfile(this.element.querySelector('#profiles-dropdown').value);
+    }
+
+    async _onImportFileSelected(e) {
+        await this._importProfileFiles([...e.target.files]);
+        e.target.value = '';
+    }
+
+    _onDragOver(e) {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        this.element.classList.add('drop-target');
+    }
+
+    async _onDropProfile(e) {
+        this.element.classList.remove('drop-target');
+        if (!e.dataTransfer?.files.length) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const files = [...e.dataTransfer.files].filter(file => file.name.toLowerCase().endsWith('.json'));
+        if (!files.length) return ui.notifications.warn("Drop a Map Shine profile (.json) file to import it.");
+        await this._importProfileFiles(files);
+    }
+
+    async _importProfileFiles(files) {
+        let lastImported = null;
+        for (const file of files) {
+            lastImported = await this.profileManager.importProfileFromFile(file) || lastImported;
+        }
+        if (!lastImported) return;
+        await this._populateProfilesDropdown();
+        this.element.querySelector('#profiles-dropdown').value = lastImported;
+    }
+
     _onOutputConfig() {
 
         const currentConfig = foundry.utils.deepClone(this.config);
@@ -5909,6 +10618,8 @@ class MaterialEditorDebugger {
         this.eventHandler = null;
         this.profileManager = null;
         this._boundUpdateIndicator = this._updateIndicator.bind(this);
+        this._targetsRefreshedHookId = null;
+        this._controlTileHookId = null;
     }
 
     initialize(profileManager) {
@@ -5924,11 +10635,19 @@ class MaterialEditorDebugger {
         this._populateAllIndicators();
         systemStatus.on('statusChanged', this._boundUpdateIndicator);
 
+        this._targetsRefreshedHookId = Hooks.on('mapShine:targetsRefreshed', () => this.eventHandler?._populateTargetDropdown());
+        this._controlTileHookId = Hooks.on('controlTile', (tile, controlled) => {
+            if (!controlled || !game.mapShine.effectTargetManager.getTarget(tile.id)) return;
+            this.eventHandler?.setEditTarget(tile.id);
+        });
+
         console.log("Material Editor | UI system initialized and subscribed to status updates.");
     }
 
     destroy() {
         systemStatus.off('statusChanged', this._boundUpdateIndicator);
+        Hooks.off('mapShine:targetsRefreshed', this._targetsRefreshedHookId);
+        Hooks.off('controlTile', this._controlTileHookId);
         this.element?.remove();
         this.element = null;
         this.uiBuilder = null;
@@ -5965,11 +10684,7 @@ class MaterialEditorDebugger {
             light.title = statusObject.message;
         }
         if (category === 'textures') {
-            const pathInput = this.element.querySelector(`#texture-path-${key}`);
-            if (pathInput) {
-                pathInput.value = statusObject.message;
-                pathInput.title = statusObject.message;
-            }
+            this.eventHandler?.updateTexturePaths();
         }
     }
 }
@@ -6003,50 +10718,10 @@ Hooks.once('init', () => {
 
             await game.mapShine.profileManager.initialize(game.mapShine.debugger);
         },
-        effectTargetManager: {
-            targets: {
-                background: null,
-                tiles: new Map()
-            },
-            async refresh() {
-                console.log("MapShine | Refreshing effect targets...");
-                const loader = new TextureAutoLoader();
-                this.targets = await loader.discoverAllTargets();
-
-                this.applyTileOpacities();
-
-                await this.broadcastUpdate();
-
-                Hooks.callAll('mapShine:targetsRefreshed');
-            },
-            async broadcastUpdate() {
-                const updatePromises = [];
-                for (const layer of canvas.layers) {
-                    if (typeof layer.updateEffectTargets === 'function') {
-
-                        updatePromises.push(layer.updateEffectTargets(this.targets));
-                    }
-                }
-
-                await Promise.all(updatePromises);
-            },
-            applyTileOpacities() {
-
-                for (const tile of canvas.tiles.placeables) {
-                    if (!tile.mesh) continue;
-
-                    const isTargetWithEffects = this.targets.tiles.has(tile.id) && OVERLAY_CONFIG.enabled;
-
-                    if (isTargetWithEffects) {
-
-                        tile.mesh.alpha = OVERLAY_CONFIG.tileOpacity;
-                    } else {
-
-                        tile.mesh.alpha = 1.0;
-                    }
-                }
-            }
-        }
+        effectTargetManager: new EffectTargetManager(),
+        emissiveLights: new EmissiveLightManager(),
+        api: new MapShineAPI(),
+        liveSync: new LiveSyncManager()
     };
 
     // --- Global Accessibility Settings ---
@@ -6105,7 +10780,20 @@ Hooks.once('init', () => {
         scope: "world",
         config: false,
         type: Object,
-        default: {}
+        default: {},
+        onChange: () => game.mapShine?.profileManager?.reloadWorldProfiles()
+    });
+
+    game.settings.register(MODULE_ID, CUSTOM_GRADIENTS_SETTING, {
+        name: "Custom Iridescence Gradients",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            GradientLibrary.refresh();
+            game.mapShine?.debugger?.eventHandler?.refreshGradientOptions();
+        }
     });
 
     game.settings.register(MODULE_ID, DEFAULT_PROFILE_SETTING, {
@@ -6113,7 +10801,28 @@ Hooks.once('init', () => {
         scope: "world",
         config: false,
         type: String,
-        default: ""
+        default: "",
+        onChange: () => game.mapShine?.profileManager?.reloadWorldProfiles()
+    });
+
+    game.settings.register(MODULE_ID, ILLUMINATION_PROVIDER_SETTING, {
+        name: "Scene Lighting Source",
+        hint: "Where Glow in the Dark and lighting masks read scene lighting from. Automatic uses the Illumination Buffer module when it is active and Foundry's own lighting otherwise.",
+        scope: "client",
+        config: true,
+        type: String,
+        choices: IlluminationProviders.choices,
+        default: "auto",
+        onChange: () => game.mapShine?.profileManager?.applyEffectiveConfig()
+    });
+
+    game.settings.register(MODULE_ID, 'gm-live-broadcast', {
+        name: "Broadcast Editor Changes to Players",
+        hint: "When enabled, effect changes a GM makes in the editor are shown to all connected players immediately.",
+        scope: "client",
+        config: false,
+        type: Boolean,
+        default: true
     });
 
     game.settings.register(MODULE_ID, 'user-adjustments', {
@@ -6320,23 +11029,14 @@ Hooks.once('init', () => {
         updateProgress("Pattern Layers Pre-rendered");
 
         await game.mapShine.effectTargetManager.refresh();
-        const targets = game.mapShine.effectTargetManager.targets;
-        for (const key of Object.keys(TextureAutoLoader.SUFFIX_MAP)) {
-            let status = { state: 'inactive', message: 'Not in use by any target.' };
-            const backgroundHasMap = !!(targets.background?.[key]);
-            const tileHasMap = Array.from(targets.tiles.values()).some(tileData => !!tileData[key]);
-            if (backgroundHasMap || tileHasMap) {
-                status = { state: 'ok', message: 'Active.' };
-            } else {
-                status = { state: 'warning', message: 'Not found for any active target.' };
-            }
-            systemStatus.update('textures', key, status);
-        }
+        game.mapShine.liveSync.requestSync();
         updateProgress("Texture Targets Discovered");
 
         new LightingEffectManager();
         new AmbientMaskManager();
         game.mapShine.tokenMaskManager = new DynamicTokenMaskManager();
+        game.mapShine.visibilityMaskManager = new VisibilityMaskManager();
+        game.mapShine.revealZones = new RevealZoneManager();
         updateProgress("Scene-level Managers Initialized");
 
         updateProgress("Pre-rendering final frame");
@@ -6377,11 +11077,48 @@ Hooks.once('init', () => {
         }
     });
 
-    Hooks.on("createTile", () => game.mapShine?.effectTargetManager.refresh());
-    Hooks.on("updateTile", () => game.mapShine?.effectTargetManager.refresh());
-    Hooks.on("deleteTile", () => game.mapShine?.effectTargetManager.refresh());
+    Hooks.on("createTile", (tileDoc) => {
+        TextureAutoLoader.clearCache(tileDoc.texture.src);
+        game.mapShine?.effectTargetManager.refreshTile(tileDoc.id);
+    });
+    Hooks.on("updateTile", async (tileDoc, changes, options, userId) => {
+        if (changes.texture?.src) TextureAutoLoader.clearCache(changes.texture.src);
+        game.mapShine?.revealZones?.onZoneUpdated(tileDoc, changes, options);
+        await game.mapShine?.effectTargetManager.onTileUpdated(tileDoc, changes, userId);
+        await game.mapShine?.emissiveLights.syncTarget(tileDoc.id);
+    });
+    Hooks.on("updateRegion", (regionDoc, changes, options) => {
+        if ('shapes' in changes) game.mapShine?.revealZones?._dropRegionMask(regionDoc.id);
+        game.mapShine?.revealZones?.onZoneUpdated(regionDoc, changes, options);
+    });
+    Hooks.on("deleteRegion", (regionDoc) => game.mapShine?.revealZones?._dropRegionMask(regionDoc.id));
+    Hooks.on("deleteTile", async (tileDoc) => {
+        TextureAutoLoader.clearCache(tileDoc.texture.src);
+        await game.mapShine?.effectTargetManager.removeTile(tileDoc.id);
+        await game.mapShine?.emissiveLights.syncTarget(tileDoc.id);
+    });
+
+    Hooks.once("ready", () => game.mapShine.liveSync.initialize());
+
+    Hooks.on("updateScene", (scene, changes, options, userId) => {
+        const flagChanges = changes.flags?.[MODULE_ID];
+        if (!flagChanges || scene.id !== canvas.scene?.id || userId === game.user.id) return;
+
+        if ('profile' in flagChanges || '-=profile' in flagChanges) {
+            game.mapShine.profileManager?.onSceneProfileChanged();
+        }
+        if ('backgroundTextureMaps' in flagChanges || '-=backgroundTextureMaps' in flagChanges) {
+            game.mapShine.effectTargetManager.refresh();
+        } else if ('backgroundConfig' in flagChanges || '-=backgroundConfig' in flagChanges) {
+            game.mapShine.effectTargetManager.onBackgroundConfigUpdated();
+        }
+    });
 
     Hooks.on("canvasTearDown", () => {
+        IlluminationProviders.releaseSceneResources();
+        game.mapShine?.visibilityMaskManager?.destroy();
+        game.mapShine?.revealZones?.destroy();
+        if (game.mapShine) game.mapShine.visibilityMaskManager = game.mapShine.revealZones = null;
         if (game.mapShine?.tokenMaskDebugSprite) {
             game.mapShine.tokenMaskDebugSprite.destroy();
             game.mapShine.tokenMaskDebugSprite = null;